@@ -15,6 +15,16 @@ const https = require("https");
 const POLYFILL_URL =
   "https://unpkg.com/webextension-polyfill@0.10.0/dist/browser-polyfill.min.js";
 
+// Letterboxd pages that show poster grids or diary rows (lists, watchlists,
+// diaries, search and /films/ browse pages)
+const GRID_PAGE_MATCHES = [
+  "https://letterboxd.com/*/list/*",
+  "https://letterboxd.com/*/watchlist/*",
+  "https://letterboxd.com/*/films/*",
+  "https://letterboxd.com/films/*",
+  "https://letterboxd.com/search/*",
+];
+
 /**
  * Recursively copy directory
  */
@@ -111,8 +121,15 @@ function createFirefoxManifest(destPath) {
         strict_min_version: "109.0",
       },
     },
-    permissions: ["storage"],
-    host_permissions: ["https://www.imdb.com/*"],
+    permissions: ["storage", "alarms"],
+    host_permissions: [
+      "https://www.imdb.com/*",
+      "https://letterboxd.com/*",
+      "https://query.wikidata.org/*",
+    ],
+    // Custom JSON endpoints and local stub servers, granted from the options page.
+    // Firefox before 128 ignores optional_host_permissions but reads origins here.
+    optional_permissions: ["*://*/*"],
     content_scripts: [
       {
         matches: ["https://letterboxd.com/film/*/"],
@@ -120,6 +137,12 @@ function createFirefoxManifest(destPath) {
         css: ["common/styles/badge.css"],
         run_at: "document_idle",
       },
+      {
+        matches: GRID_PAGE_MATCHES,
+        js: ["common/src/lib/browser-polyfill.min.js", "common/src/grid.js"],
+        css: ["common/styles/badge.css"],
+        run_at: "document_idle",
+      },
     ],
     background: {
       scripts: [
@@ -128,6 +151,10 @@ function createFirefoxManifest(destPath) {
       ],
       type: "module",
     },
+    options_ui: {
+      page: "common/options.html",
+      open_in_tab: true,
+    },
     action: {
       default_title: "FilmRatio for Letterboxd",
       default_popup: "common/popup.html",
@@ -160,8 +187,14 @@ function createChromeManifest(destPath) {
       48: "common/icons/ar_lookup.png",
       128: "common/icons/ar_lookup.png",
     },
-    permissions: ["storage"],
-    host_permissions: ["https://www.imdb.com/*"],
+    permissions: ["storage", "alarms"],
+    host_permissions: [
+      "https://www.imdb.com/*",
+      "https://letterboxd.com/*",
+      "https://query.wikidata.org/*",
+    ],
+    // Custom JSON endpoints and local stub servers, granted from the options page
+    optional_host_permissions: ["*://*/*"],
     content_scripts: [
       {
         matches: ["https://letterboxd.com/film/*/"],
@@ -169,10 +202,20 @@ function createChromeManifest(destPath) {
         css: ["common/styles/badge.css"],
         run_at: "document_idle",
       },
+      {
+        matches: GRID_PAGE_MATCHES,
+        js: ["common/src/grid.js"],
+        css: ["common/styles/badge.css"],
+        run_at: "document_idle",
+      },
     ],
     background: {
       service_worker: "common/src/background.js",
     },
+    options_ui: {
+      page: "common/options.html",
+      open_in_tab: true,
+    },
     action: {
       default_title: "Letterboxd Aspect Ratio",
       default_popup: "common/popup.html",
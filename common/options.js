@@ -0,0 +1,662 @@
+// Options page script - reads and saves user settings through the background worker,
+// and lists/refreshes/purges cached ratio records (Cache tab)
+
+let PROVIDERS = []; // [{ id, label, defaultBaseUrl }] from the background
+let providerOrder = [];
+
+function renderProviderList(settings) {
+  const listEl = document.getElementById("provider-list");
+  listEl.replaceChildren();
+  providerOrder.forEach((id, index) => {
+    const provider = PROVIDERS.find((p) => p.id === id);
+    if (!provider) return;
+
+    const li = document.createElement("li");
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = `enabled-${id}`;
+    checkbox.checked = !!settings.enabledProviders[id];
+    label.append(checkbox, ` ${index + 1}. ${provider.label}`);
+
+    const up = document.createElement("button");
+    up.type = "button";
+    up.className = "secondary outline";
+    up.textContent = "↑";
+    up.title = "Ask this source earlier";
+    up.disabled = index === 0;
+    up.dataset.move = id;
+    up.dataset.delta = "-1";
+
+    const down = document.createElement("button");
+    down.type = "button";
+    down.className = "secondary outline";
+    down.textContent = "↓";
+    down.title = "Ask this source later";
+    down.disabled = index === providerOrder.length - 1;
+    down.dataset.move = id;
+    down.dataset.delta = "1";
+
+    li.append(label, up, down);
+    listEl.appendChild(li);
+  });
+}
+
+function renderBaseUrlInputs(settings) {
+  const container = document.getElementById("provider-base-urls");
+  container.replaceChildren();
+  PROVIDERS.filter((p) => p.defaultBaseUrl).forEach((provider) => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "url";
+    input.name = `baseUrl-${provider.id}`;
+    input.placeholder = provider.defaultBaseUrl;
+    input.value = settings.providerBaseUrls[provider.id] || "";
+    label.append(provider.label, input);
+    container.appendChild(label);
+  });
+}
+
+function fillForm(form, settings) {
+  const strategy = form.querySelector(
+    `input[name="primaryStrategy"][value="${settings.primaryStrategy}"]`
+  );
+  if (strategy) strategy.checked = true;
+
+  providerOrder = settings.providerOrder.slice();
+  renderProviderList(settings);
+  renderBaseUrlInputs(settings);
+  form.querySelector('input[name="customEndpoint"]').value =
+    settings.customEndpoint || "";
+  form.querySelector('input[name="reconcileSources"]').checked =
+    !!settings.reconcileSources;
+  form.querySelector('input[name="keepParseSnippets"]').checked =
+    !!settings.keepParseSnippets;
+  form.querySelector('input[name="minRequestIntervalSeconds"]').value =
+    settings.minRequestIntervalMs / 1000;
+  form.querySelector('input[name="hourlyRequestCap"]').value =
+    settings.hourlyRequestCap;
+  form.querySelector('input[name="dailyRequestCap"]').value =
+    settings.dailyRequestCap;
+}
+
+function readForm(form) {
+  const checked = form.querySelector('input[name="primaryStrategy"]:checked');
+  const enabledProviders = {};
+  const providerBaseUrls = {};
+  PROVIDERS.forEach((p) => {
+    const box = form.querySelector(`input[name="enabled-${p.id}"]`);
+    enabledProviders[p.id] = !!(box && box.checked);
+    const base = form.querySelector(`input[name="baseUrl-${p.id}"]`);
+    if (base && base.value.trim()) providerBaseUrls[p.id] = base.value.trim();
+  });
+  return {
+    primaryStrategy: checked ? checked.value : undefined,
+    providerOrder: providerOrder.slice(),
+    reconcileSources: form.querySelector('input[name="reconcileSources"]')
+      .checked,
+    enabledProviders,
+    customEndpoint: form.querySelector('input[name="customEndpoint"]').value,
+    providerBaseUrls,
+    keepParseSnippets: form.querySelector('input[name="keepParseSnippets"]')
+      .checked,
+    minRequestIntervalMs:
+      parseFloat(
+        form.querySelector('input[name="minRequestIntervalSeconds"]').value
+      ) * 1000,
+    hourlyRequestCap: parseInt(
+      form.querySelector('input[name="hourlyRequestCap"]').value,
+      10
+    ),
+    dailyRequestCap: parseInt(
+      form.querySelector('input[name="dailyRequestCap"]').value,
+      10
+    ),
+  };
+}
+
+// Hosts outside the manifest (custom endpoint, stub servers) need an optional permission
+function requestHostPermissions(settings) {
+  const origins = [
+    settings.customEndpoint,
+    ...Object.values(settings.providerBaseUrls),
+  ]
+    .filter(Boolean)
+    .map((value) => {
+      try {
+        return `${new URL(value.replace(/\{imdbId\}/g, "x")).origin}/*`;
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  if (origins.length === 0) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    chrome.permissions.request({ origins }, (granted) => resolve(!!granted));
+  });
+}
+
+function showSaved(text) {
+  const statusEl = document.getElementById("save-status");
+  statusEl.textContent = text;
+  setTimeout(() => {
+    statusEl.textContent = "";
+  }, 2000);
+}
+
+async function save(form) {
+  const settings = readForm(form);
+  const granted = await requestHostPermissions(settings);
+  chrome.runtime.sendMessage({ type: "saveSettings", settings }, (resp) => {
+    if (resp && resp.ok) {
+      fillForm(form, resp.settings);
+      showSaved(granted ? "Saved" : "Saved, but host access was not granted");
+    } else {
+      showSaved("Could not save settings");
+    }
+  });
+}
+
+// Settings / Cache / Statistics tabs, kept in the URL hash so the popup can link straight to one
+function showTab(name) {
+  const panels = document.querySelectorAll("[data-tab-panel]");
+  const known = Array.from(panels).some((p) => p.dataset.tabPanel === name);
+  const active = known ? name : "settings";
+  panels.forEach((panel) => {
+    panel.hidden = panel.dataset.tabPanel !== active;
+  });
+  document.querySelectorAll(".page-tabs a[data-tab]").forEach((link) => {
+    if (link.dataset.tab === active) link.setAttribute("aria-current", "page");
+    else link.removeAttribute("aria-current");
+  });
+  if (active === "cache") loadCache();
+  if (active === "stats") loadStats();
+}
+
+// --- Cache manager ---
+
+const CACHE_ROW_LIMIT = 200; // keep the table responsive with large caches
+let cacheEntries = [];
+let cacheMaxEntries = null;
+let cacheMaxBytes = null;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatAge(timestamp) {
+  if (!timestamp) return "—";
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+  return `${Math.floor(hours / 24)} days`;
+}
+
+function showCacheStatus(text) {
+  const statusEl = document.getElementById("cache-status");
+  statusEl.textContent = text;
+  setTimeout(() => {
+    if (statusEl.textContent === text) statusEl.textContent = "";
+  }, 3000);
+}
+
+function renderCacheUsage(bytesInUse, quotaBytes) {
+  const usageEl = document.getElementById("cache-usage");
+  const barEl = document.getElementById("cache-usage-bar");
+  if (quotaBytes) {
+    usageEl.textContent = `${formatBytes(bytesInUse)} of ${formatBytes(
+      quotaBytes
+    )}`;
+    barEl.value = Math.min(100, (bytesInUse / quotaBytes) * 100);
+    barEl.hidden = false;
+  } else {
+    usageEl.textContent = formatBytes(bytesInUse);
+    barEl.hidden = true;
+  }
+}
+
+function cacheEntryMatches(entry, query) {
+  if (!query) return true;
+  const q = query.toLowerCase();
+  return (
+    entry.imdbId.toLowerCase().includes(q) ||
+    (entry.title || "").toLowerCase().includes(q)
+  );
+}
+
+function buildCacheRow(entry) {
+  const tr = document.createElement("tr");
+
+  const film = document.createElement("td");
+  const link = document.createElement("a");
+  link.href = `https://www.imdb.com/title/${entry.imdbId}/technical/`;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  link.textContent = entry.title
+    ? `${entry.title}${entry.year ? ` (${entry.year})` : ""}`
+    : entry.imdbId;
+  film.appendChild(link);
+  if (entry.title) {
+    const id = document.createElement("div");
+    id.className = "cache-id";
+    id.textContent = entry.imdbId;
+    film.appendChild(id);
+  }
+
+  const ratios = document.createElement("td");
+  if (entry.negative) {
+    // Cached miss: not asked again until it expires
+    ratios.textContent = "Not found";
+    ratios.title = entry.reason || "";
+  } else {
+    ratios.textContent =
+      entry.ratios.length > 0 ? entry.ratios.join(", ") : "—";
+  }
+
+  const source = document.createElement("td");
+  source.textContent = entry.source || "—";
+
+  const age = document.createElement("td");
+  age.textContent = formatAge(entry.fetchedAt);
+  if (entry.expired) {
+    age.title = entry.negative
+      ? "Expired; looked up again on next visit"
+      : "Expired; shown until the background refresh on next visit";
+  }
+
+  const actions = document.createElement("td");
+  const refresh = document.createElement("button");
+  refresh.type = "button";
+  refresh.className = "secondary outline";
+  refresh.textContent = "↻";
+  refresh.title = "Fetch again now";
+  refresh.dataset.refresh = entry.imdbId;
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "secondary outline";
+  remove.textContent = "✕";
+  remove.title = "Remove from cache";
+  remove.dataset.remove = entry.imdbId;
+  actions.append(refresh, " ", remove);
+
+  tr.append(film, ratios, source, age, actions);
+  return tr;
+}
+
+function renderCacheTable() {
+  const query = document.getElementById("cache-search").value.trim();
+  const matching = cacheEntries.filter((e) => cacheEntryMatches(e, query));
+  const tbody = document.querySelector("#cache-table tbody");
+  tbody.replaceChildren(
+    ...matching.slice(0, CACHE_ROW_LIMIT).map(buildCacheRow)
+  );
+  document.getElementById("cache-count").textContent =
+    matching.length > CACHE_ROW_LIMIT
+      ? `Showing ${CACHE_ROW_LIMIT} of ${matching.length} matching films (${cacheEntries.length} cached)`
+      : `${matching.length} of ${cacheEntries.length} cached films`;
+  if (cacheMaxEntries) {
+    document.getElementById(
+      "cache-count"
+    ).textContent += ` · least recently used films are removed past ${cacheMaxEntries}${
+      cacheMaxBytes ? ` or ${formatBytes(cacheMaxBytes)}` : ""
+    }`;
+  }
+}
+
+function loadCache() {
+  chrome.runtime.sendMessage({ type: "listCache" }, (resp) => {
+    if (!resp || !resp.ok) {
+      showCacheStatus("Could not read the cache");
+      return;
+    }
+    cacheEntries = resp.entries;
+    cacheMaxEntries = resp.maxEntries || null;
+    cacheMaxBytes = resp.maxBytes || null;
+    renderCacheUsage(resp.bytesInUse, resp.quotaBytes);
+    renderCacheTable();
+  });
+}
+
+function onCacheTableClick(e) {
+  const refresh = e.target.closest("button[data-refresh]");
+  const remove = e.target.closest("button[data-remove]");
+  if (refresh) {
+    refresh.disabled = true;
+    refresh.setAttribute("aria-busy", "true");
+    chrome.runtime.sendMessage(
+      { type: "refreshCacheEntry", imdbId: refresh.dataset.refresh },
+      (resp) => {
+        if (resp && resp.ok) {
+          showCacheStatus(`Refreshed ${refresh.dataset.refresh}`);
+          loadCache();
+        } else {
+          refresh.disabled = false;
+          refresh.removeAttribute("aria-busy");
+          showCacheStatus(resp?.error || "Refresh failed");
+        }
+      }
+    );
+  } else if (remove) {
+    chrome.runtime.sendMessage(
+      { type: "deleteCacheEntry", imdbId: remove.dataset.remove },
+      () => loadCache()
+    );
+  }
+}
+
+function purgeCache() {
+  const days = parseInt(document.getElementById("cache-purge-age").value, 10);
+  const what =
+    days === 0 ? "all cached films" : `films cached over ${days} days ago`;
+  if (!confirm(`Remove ${what}?`)) return;
+  chrome.runtime.sendMessage(
+    { type: "purgeCache", olderThanDays: days },
+    (resp) => {
+      showCacheStatus(
+        resp && resp.ok ? `Removed ${resp.removed} entries` : "Purge failed"
+      );
+      loadCache();
+    }
+  );
+}
+
+function exportData(format) {
+  chrome.runtime.sendMessage({ type: "exportData", format }, (resp) => {
+    if (!resp || !resp.ok) {
+      showCacheStatus(resp?.error || "Export failed");
+      return;
+    }
+    const blob = new Blob([resp.content], {
+      type: format === "csv" ? "text/csv" : "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = resp.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showCacheStatus(`Exported ${resp.count} films`);
+  });
+}
+
+// Imports only write to storage; nothing is fetched from IMDb
+async function importData() {
+  const file = document.getElementById("import-file").files[0];
+  const statusEl = document.getElementById("import-status");
+  if (!file) return;
+  const mode = document.querySelector(
+    'input[name="import-mode"]:checked'
+  ).value;
+  if (
+    mode === "replace" &&
+    !confirm("Replace all cached films and your own ratios with this file?")
+  ) {
+    return;
+  }
+  const content = await file.text();
+  statusEl.textContent = "Importing…";
+  chrome.runtime.sendMessage({ type: "importData", content, mode }, (resp) => {
+    if (!resp || !resp.ok) {
+      statusEl.textContent = resp?.error || "Import failed";
+      return;
+    }
+    let text = `Imported ${resp.imported}, kept ${resp.skipped} newer existing`;
+    if (resp.historyImported) {
+      text += `, ${resp.historyImported} history entries`;
+    }
+    if (resp.errorCount > 0) {
+      text += `, rejected ${resp.errorCount}: ${resp.errors.join("; ")}`;
+    }
+    statusEl.textContent = text;
+    loadCache();
+  });
+}
+
+// --- Statistics ---
+
+// One colour per mapRatioToType family, reused by every chart
+const FAMILY_COLORS = {
+  Scope: "#4CAF50",
+  Widescreen: "#2196F3",
+  "16:9": "#00BCD4",
+  "European Widescreen": "#3F51B5",
+  "Academy Ratio": "#FF9800",
+  "4:3": "#FFC107",
+  "Silent film": "#795548",
+  "IMAX 70mm": "#9C27B0",
+  "Digital IMAX": "#E91E63",
+  "IMAX 2.11:1": "#F06292",
+  Univisium: "#009688",
+  "Todd-AO": "#8BC34A",
+  Cinerama: "#CDDC39",
+  "Ultra Panavision 70": "#FF5722",
+  Polyvision: "#607D8B",
+  Other: "#9E9E9E",
+};
+
+const STATS_COUNTERS = [
+  ["cachedFilms", "Films in the cache"],
+  ["viewedFilms", "Films in your history"],
+  ["overrides", "Films with your own ratio"],
+  ["variableFilms", "Variable ratio films"],
+  ["multiFormatFilms", "Films with several release formats"],
+  ["notFound", "Films IMDb has no ratio for"],
+  ["filmsWithoutYear", "Films without a known release year"],
+  ["imdbRequestsToday", "IMDb requests in the last 24 h"],
+  ["totalFetches", "Lookups this session"],
+  ["cacheHits", "Cache hits this session"],
+  ["imdbRequests", "IMDb requests this session"],
+  ["staleServed", "Expired results shown while refreshing"],
+  ["forcedRefreshes", "Forced refreshes this session"],
+  ["lookupErrors", "Failed film-page lookups this session"],
+];
+
+function familyColor(family) {
+  return FAMILY_COLORS[family] || FAMILY_COLORS.Other;
+}
+
+function percent(count, total) {
+  return total ? Math.round((count / total) * 100) : 0;
+}
+
+function buildBarRow(label, count, total, color) {
+  const li = document.createElement("li");
+  li.className = "bar-row";
+  const name = document.createElement("span");
+  name.textContent = label;
+  const track = document.createElement("div");
+  track.className = "bar-track";
+  const fill = document.createElement("div");
+  fill.className = "bar-fill";
+  fill.style.width = `${(count / total) * 100}%`;
+  fill.style.background = color;
+  track.appendChild(fill);
+  const value = document.createElement("span");
+  value.className = "bar-value";
+  value.textContent = `${count} · ${percent(count, total)}%`;
+  li.append(name, track, value);
+  return li;
+}
+
+// 100% stacked columns, one per decade, families in the overall distribution's order
+function renderDecadeChart(svg, decades, familyOrder) {
+  const NS = "http://www.w3.org/2000/svg";
+  const width = 640;
+  const height = 220;
+  const top = 18;
+  const bottom = 20;
+  const chartHeight = height - top - bottom;
+  const slot = width / Math.max(decades.length, 1);
+  const barWidth = Math.min(48, slot * 0.7);
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.querySelectorAll("g, text").forEach((el) => el.remove());
+
+  const el = (tag, attrs, text) => {
+    const node = document.createElementNS(NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    if (text != null) node.textContent = text;
+    return node;
+  };
+  decades.forEach((bucket, i) => {
+    const x = i * slot + (slot - barWidth) / 2;
+    const group = el("g", {});
+    let y = top + chartHeight;
+    familyOrder.forEach((family) => {
+      const count = bucket.families[family] || 0;
+      if (!count) return;
+      const h = (count / bucket.total) * chartHeight;
+      y -= h;
+      const rect = el("rect", {
+        x,
+        y,
+        width: barWidth,
+        height: h,
+        fill: familyColor(family),
+      });
+      rect.appendChild(
+        el(
+          "title",
+          {},
+          `${bucket.decade}s · ${family}: ${count} of ${
+            bucket.total
+          } (${percent(count, bucket.total)}%)`
+        )
+      );
+      group.appendChild(rect);
+    });
+    group.appendChild(
+      el(
+        "text",
+        { x: x + barWidth / 2, y: top - 5, "text-anchor": "middle" },
+        bucket.total
+      )
+    );
+    group.appendChild(
+      el(
+        "text",
+        { x: x + barWidth / 2, y: height - 5, "text-anchor": "middle" },
+        `${bucket.decade}s`
+      )
+    );
+    svg.appendChild(group);
+  });
+}
+
+function renderStats(stats) {
+  const total = stats.totalFilms;
+  document.getElementById("stats-total").textContent = `${total} films`;
+  document.getElementById("stats-note").textContent = total
+    ? "from the cache and your recently viewed list"
+    : "Look up some films on Letterboxd to fill these charts.";
+
+  document
+    .getElementById("stats-families")
+    .replaceChildren(
+      ...stats.families.map((f) =>
+        buildBarRow(f.family, f.count, total, familyColor(f.family))
+      )
+    );
+
+  const familyOrder = stats.families.map((f) => f.family);
+  const decadesEl = document.getElementById("stats-decades");
+  decadesEl.style.display = stats.decades.length ? "" : "none";
+  renderDecadeChart(decadesEl, stats.decades, familyOrder);
+  document.getElementById("stats-legend").replaceChildren(
+    ...(stats.decades.length ? familyOrder : []).map((family) => {
+      const span = document.createElement("span");
+      span.style.setProperty("--swatch", familyColor(family));
+      span.textContent = family;
+      return span;
+    })
+  );
+
+  const topCount = stats.formats.length ? stats.formats[0].count : 1;
+  document.getElementById("stats-formats").replaceChildren(
+    ...stats.formats.map((f) => {
+      const row = buildBarRow(
+        f.family === "Other" ? f.ratio : `${f.ratio} (${f.family})`,
+        f.count,
+        topCount,
+        familyColor(f.family)
+      );
+      // Bars are relative to the top format; the value is the share of all films
+      row.querySelector(".bar-value").textContent = `${f.count} · ${percent(
+        f.count,
+        total
+      )}%`;
+      return row;
+    })
+  );
+
+  document.querySelector("#stats-counters tbody").replaceChildren(
+    ...STATS_COUNTERS.map(([key, label]) => {
+      const tr = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = label;
+      const value = document.createElement("td");
+      value.textContent = stats.counters[key] || 0;
+      tr.append(name, value);
+      return tr;
+    })
+  );
+}
+
+function loadStats() {
+  chrome.runtime.sendMessage({ type: "getStats" }, (resp) => {
+    if (!resp || !resp.ok) {
+      document.getElementById("stats-total").textContent =
+        "Could not read statistics";
+      return;
+    }
+    renderStats(resp);
+  });
+}
+
+// Wait for DOM to be fully loaded before initializing
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("settings-form");
+
+  showTab(location.hash.slice(1));
+  window.addEventListener("hashchange", () => showTab(location.hash.slice(1)));
+
+  document
+    .getElementById("cache-search")
+    .addEventListener("input", renderCacheTable);
+  document
+    .querySelector("#cache-table tbody")
+    .addEventListener("click", onCacheTableClick);
+  document.getElementById("cache-purge").addEventListener("click", purgeCache);
+  document
+    .getElementById("export-json")
+    .addEventListener("click", () => exportData("json"));
+  document
+    .getElementById("export-csv")
+    .addEventListener("click", () => exportData("csv"));
+  document.getElementById("import-file").addEventListener("change", (e) => {
+    document.getElementById("import-run").disabled = !e.target.files.length;
+  });
+  document.getElementById("import-run").addEventListener("click", importData);
+
+  chrome.runtime.sendMessage({ type: "getSettings" }, (resp) => {
+    if (!resp || !resp.settings) return;
+    PROVIDERS = resp.providers || [];
+    fillForm(form, resp.settings);
+  });
+
+  // Save on every change; there is no separate submit step
+  form.addEventListener("change", () => save(form));
+
+  // Reorder sources with the ↑ / ↓ buttons
+  document.getElementById("provider-list").addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-move]");
+    if (!button) return;
+    const from = providerOrder.indexOf(button.dataset.move);
+    const to = from + parseInt(button.dataset.delta);
+    if (from === -1 || to < 0 || to >= providerOrder.length) return;
+    providerOrder.splice(to, 0, providerOrder.splice(from, 1)[0]);
+    save(form);
+  });
+});
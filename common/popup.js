@@ -1,17 +1,23 @@
-// Popup script - fetches and displays status from background worker
+// Popup script - shows the film in the active tab, plus global stats from the background worker
 
-function updateUI(status) {
+// The tab the popup was opened over; its film is what the card shows
+let activeTabId = null;
+// Lookups from a private window's popup must not touch the persistent cache
+let activeTabIncognito = false;
+// IMDb ID of the film on the card, also while it has no ratio to override
+let currentFilmId = null;
+
+function updateFilm(film) {
   const statusEl = document.getElementById("status");
-  const filmTitleEl = document.getElementById("last-film-title");
-  const aspectRatioEl = document.getElementById("last-ar");
-  const fetchCountEl = document.getElementById("fetch-count");
-  const cacheCountEl = document.getElementById("cache-count");
+  const filmTitleEl = document.getElementById("film-title");
+  const aspectRatioEl = document.getElementById("film-ar");
   const errorEl = document.getElementById("error-message");
 
   // Status indicator
-  let statusText = status.lastStatus || "idle";
-  statusEl.textContent =
-    statusText.charAt(0).toUpperCase() + statusText.slice(1);
+  let statusText = (film && film.status) || "idle";
+  statusEl.textContent = (
+    statusText.charAt(0).toUpperCase() + statusText.slice(1)
+  ).replace(/-/g, " ");
 
   // Add status-specific styling
   statusEl.className = "";
@@ -19,69 +25,460 @@ function updateUI(status) {
     statusEl.style.color = "var(--pico-color-green)";
   } else if (statusText === "error") {
     statusEl.style.color = "var(--pico-color-red)";
-  } else if (statusText === "fetching") {
+  } else if (statusText === "fetching" || statusText === "budget-exhausted") {
     statusEl.style.color = "var(--pico-color-orange)";
   } else {
     statusEl.style.color = "inherit";
   }
 
-  // Film title (extract from current tab data if available, or use IMDb ID)
-  if (status.lastFilmTitle) {
-    filmTitleEl.textContent = status.lastFilmTitle;
-  } else if (status.lastImdbId) {
-    filmTitleEl.textContent = status.lastImdbId;
-    filmTitleEl.style.fontFamily = "monospace";
-    filmTitleEl.style.fontSize = "0.9em";
-  } else {
-    filmTitleEl.textContent = "N/A";
+  document.getElementById("no-film").style.display = film ? "none" : "block";
+  document.getElementById("film-section").style.display = film
+    ? "block"
+    : "none";
+
+  // Film title (or IMDb ID until the page's title is known)
+  if (film && film.filmTitle) {
+    filmTitleEl.textContent = film.filmTitle;
     filmTitleEl.style.fontFamily = "inherit";
     filmTitleEl.style.fontSize = "inherit";
+  } else if (film) {
+    filmTitleEl.textContent = film.imdbId;
+    filmTitleEl.style.fontFamily = "monospace";
+    filmTitleEl.style.fontSize = "0.9em";
+  }
+  if (film) {
+    document.getElementById(
+      "imdb-link"
+    ).href = `https://www.imdb.com/title/${film.imdbId}/technical/`;
   }
 
   // Aspect ratio
-  if (status.lastAspectRatio) {
-    aspectRatioEl.textContent = status.lastAspectRatio;
+  const hasRatio = !!(film && film.aspectRatio);
+  document.getElementById("ratio-section").style.display = hasRatio
+    ? "block"
+    : "none";
+  if (hasRatio) {
+    aspectRatioEl.textContent = film.mappedTypeShort
+      ? `${film.aspectRatio} (${film.mappedTypeShort})`
+      : film.aspectRatio;
     aspectRatioEl.style.fontWeight = "bold";
-    aspectRatioEl.style.color = "var(--pico-color-green)";
+    aspectRatioEl.style.color = film.overridden
+      ? "var(--pico-color-azure)"
+      : "var(--pico-color-green)";
+    aspectRatioEl.title = film.primaryReason
+      ? `Primary: ${film.primaryReason}`
+      : film.mappedTypeLong || "";
+  }
+
+  // Variable-within-film or several release formats
+  const layoutEl = document.getElementById("film-layout");
+  if (hasRatio && film.layoutLabel) {
+    layoutEl.textContent = film.layoutLabel;
+    layoutEl.style.display = "inline";
   } else {
-    aspectRatioEl.textContent = "N/A";
-    aspectRatioEl.style.fontWeight = "normal";
-    aspectRatioEl.style.color = "inherit";
+    layoutEl.style.display = "none";
   }
 
-  // Stats
-  fetchCountEl.textContent = status.totalFetches || 0;
-  cacheCountEl.textContent = status.cacheHits || 0;
+  // Every ratio with its type name and IMDb's note (IMAX scenes, Blu-ray, ...)
+  renderRatioList(
+    document.getElementById("film-ratios"),
+    hasRatio ? film.ratios : null
+  );
 
-  const imdbRequestsEl = document.getElementById("imdb-requests");
-  if (imdbRequestsEl) {
-    imdbRequestsEl.textContent = status.imdbRequests || 0;
+  // How old the cached record is, and a way to fetch it again now
+  document.getElementById("film-meta").style.display =
+    film && film.status !== "fetching" ? "flex" : "none";
+  document.getElementById("cache-age").textContent = hasRatio
+    ? describeCacheAge(film)
+    : "";
+
+  showWarning(
+    document.getElementById("conflict-warning"),
+    hasRatio && conflictWarning(film)
+  );
+  showWarning(
+    document.getElementById("match-warning"),
+    hasRatio && matchWarning(film)
+  );
+
+  // The user's own ratio for this film
+  const overrideNoteEl = document.getElementById("override-note");
+  if (hasRatio && film.override) {
+    overrideNoteEl.textContent = `✎ Your override${
+      film.override.note ? `: ${film.override.note}` : ""
+    }`;
+    overrideNoteEl.style.display = "block";
+  } else {
+    overrideNoteEl.style.display = "none";
   }
+  fillOverrideForm(film);
 
   // Error handling
-  if (status.lastStatus === "error" && status.lastError) {
-    errorEl.textContent = `Error: ${status.lastError}`;
+  if (
+    film &&
+    (film.status === "error" || film.status === "budget-exhausted") &&
+    film.error
+  ) {
+    errorEl.textContent = `Error: ${film.error}`;
     errorEl.style.display = "block";
   } else {
     errorEl.style.display = "none";
   }
 }
 
-// Wait for DOM to be fully loaded before initializing
-document.addEventListener("DOMContentLoaded", () => {
-  // Request initial status from background
+function updateStats(status) {
+  document.getElementById("fetch-count").textContent = status.totalFetches || 0;
+  document.getElementById("cache-count").textContent = status.cacheHits || 0;
+  document.getElementById("imdb-requests").textContent =
+    status.imdbRequests || 0;
+  document.getElementById("queue-depth").textContent = status.queueDepth || 0;
+  document.getElementById("last-film-title").textContent =
+    status.lastFilmTitle || status.lastImdbId || "N/A";
+  renderBudget(document.getElementById("imdb-budget"), status.imdbBudget);
+}
+
+// "Cached 3 days ago · imdb", flagged while an expired record is being refetched
+function describeCacheAge(film) {
+  if (!film.fetchedAt) return "";
+  const minutes = Math.floor((Date.now() - film.fetchedAt) / 60000);
+  let age;
+  if (minutes < 1) age = "just now";
+  else if (minutes < 60) age = `${minutes} min ago`;
+  else if (minutes < 48 * 60) age = `${Math.floor(minutes / 60)} h ago`;
+  else age = `${Math.floor(minutes / (24 * 60))} days ago`;
+  return `${minutes < 1 ? "Fetched" : "Cached"} ${age}${
+    film.source ? ` · ${film.source}` : ""
+  }${film.stale ? " (refreshing)" : ""}`;
+}
+
+// "42/60 this hour · 280/300 today", or when requests resume once it's spent
+function renderBudget(budgetEl, budget) {
+  if (!budget) {
+    budgetEl.textContent = "";
+    return;
+  }
+  budgetEl.textContent = `${budget.hourlyLeft}/${budget.hourlyCap} this hour · ${budget.dailyLeft}/${budget.dailyCap} today`;
+  if (budget.exhausted && budget.resetsAt) {
+    budgetEl.textContent += ` (resumes ${new Date(
+      budget.resetsAt
+    ).toLocaleTimeString()})`;
+  }
+  budgetEl.style.color = budget.exhausted ? "var(--pico-color-orange)" : "";
+}
+
+function renderRatioList(listEl, ratios) {
+  listEl.replaceChildren();
+  const hasDetail = ratios && (ratios.length > 1 || ratios.some((r) => r.note));
+  if (!hasDetail) {
+    listEl.style.display = "none";
+    return;
+  }
+  ratios.forEach((r) => {
+    const li = document.createElement("li");
+    li.textContent = r.typeShort ? `${r.ratio} (${r.typeShort})` : r.ratio;
+    li.title = r.typeLong || "";
+    if (r.confidence != null && r.confidence < 1) {
+      li.textContent += ` · ${Math.round(r.confidence * 100)}% of sources`;
+    }
+    if (r.note) {
+      const note = document.createElement("span");
+      note.className = "ratio-note";
+      note.textContent = ` — ${r.note}`;
+      li.appendChild(note);
+    }
+    listEl.appendChild(li);
+  });
+  listEl.style.display = "block";
+}
+
+// Film the override form was last filled for; the 2s refresh must not clobber typing
+let overrideFormImdbId = null;
+
+function fillOverrideForm(film) {
+  const section = document.getElementById("override-section");
+  // Films IMDb has no ratio for (status "error") are where an override helps most
+  const imdbId =
+    film && film.status !== "fetching" && film.imdbId ? film.imdbId : null;
+  section.style.display = imdbId ? "block" : "none";
+  if (!imdbId || imdbId === overrideFormImdbId) return;
+
+  overrideFormImdbId = imdbId;
+  const override = film.override || {};
+  document.getElementById("override-ratios").value = (override.ratios || [])
+    .map((r) => (r.note ? `${r.ratio} (${r.note})` : r.ratio))
+    .join(", ");
+  document.getElementById("override-primary").value = override.primary || "";
+  document.getElementById("override-text").value = override.note || "";
+  document.getElementById("override-status").textContent = "";
+}
+
+function sendOverride(type) {
+  const statusEl = document.getElementById("override-status");
+  if (!overrideFormImdbId) return;
+  chrome.runtime.sendMessage(
+    {
+      type,
+      imdbId: overrideFormImdbId,
+      incognito: activeTabIncognito, // private windows' overrides last the session only
+      override: {
+        ratiosText: document.getElementById("override-ratios").value,
+        primary: document.getElementById("override-primary").value,
+        note: document.getElementById("override-text").value,
+      },
+    },
+    (resp) => {
+      if (!resp || !resp.ok) {
+        statusEl.textContent = (resp && resp.error) || "Could not save";
+        return;
+      }
+      // Refill the form from the stored override
+      overrideFormImdbId = null;
+      chrome.runtime.sendMessage(
+        { type: "getTabData", tabId: activeTabId },
+        (tabResp) => {
+          updateFilm(tabResp && tabResp.data);
+          statusEl.textContent = type === "clearOverride" ? "Removed" : "Saved";
+        }
+      );
+    }
+  );
+}
+
+// Skip the cache and fetch the active tab's film again
+function refreshFilm() {
+  const button = document.getElementById("refresh-film");
+  const imdbId = currentFilmId;
+  if (!imdbId) return;
+  button.disabled = true;
+  button.setAttribute("aria-busy", "true");
+  chrome.runtime.sendMessage(
+    { type: "refreshFilm", imdbId, tabId: activeTabId },
+    (resp) => {
+      button.disabled = false;
+      button.removeAttribute("aria-busy");
+      if (resp && resp.ok) {
+        updateFilm(resp.data);
+      } else {
+        document.getElementById("cache-age").textContent =
+          (resp && resp.error) || "Refresh failed";
+      }
+    }
+  );
+}
+
+function refresh() {
+  chrome.runtime.sendMessage(
+    { type: "getTabData", tabId: activeTabId },
+    (resp) => {
+      if (!resp) {
+        document.getElementById("status").textContent = "Not available";
+        return;
+      }
+      currentFilmId = resp.data ? resp.data.imdbId : null;
+      updateFilm(resp.data);
+    }
+  );
   chrome.runtime.sendMessage({ type: "getStatus" }, (status) => {
-    if (status) {
-      updateUI(status);
-    } else {
-      document.getElementById("status").textContent = "Not available";
+    if (status) updateStats(status);
+  });
+}
+
+// Lookup box: a tt ID, IMDb link or Letterboxd link, resolved in the background
+function lookupFilm() {
+  const query = document.getElementById("lookup-query").value.trim();
+  const button = document.getElementById("lookup-submit");
+  const errorEl = document.getElementById("lookup-error");
+  if (!query) return;
+  button.disabled = true;
+  button.setAttribute("aria-busy", "true");
+  errorEl.style.display = "none";
+  chrome.runtime.sendMessage(
+    { type: "lookupFilm", query, incognito: activeTabIncognito },
+    (resp) => {
+      button.disabled = false;
+      button.removeAttribute("aria-busy");
+      if (resp && resp.ok) {
+        renderLookupResult(resp.data);
+        if (document.getElementById("history-section").open) loadHistory();
+      } else {
+        document.getElementById("lookup-result").hidden = true;
+        errorEl.textContent = (resp && resp.error) || "Lookup failed";
+        errorEl.style.display = "block";
+      }
     }
+  );
+}
+
+// Sources disagreeing on the primary ratio
+function conflictWarning(film) {
+  if (!film.conflict) return null;
+  return `⚠ Sources disagree (${film.conflict.sources.join(
+    ", "
+  )}): ${film.conflict.clusters
+    .map((c) => `${c.ratio} ${Math.round(c.confidence * 100)}%`)
+    .join(", ")}`;
+}
+
+// Letterboxd's IMDb link may be for another film
+function matchWarning(film) {
+  if (!film.match || !film.match.mismatch) return null;
+  return `⚠ IMDb link may be for another film: "${film.match.imdbTitle}"${
+    film.match.imdbYear ? ` (${film.match.imdbYear})` : ""
+  }, match ${Math.round(film.match.confidence * 100)}%`;
+}
+
+function showWarning(el, text) {
+  el.textContent = text || "";
+  el.style.display = text ? "block" : "none";
+}
+
+function renderLookupResult(film) {
+  document.getElementById("lookup-title").textContent =
+    film.filmTitle || film.imdbId;
+  document.getElementById(
+    "lookup-imdb"
+  ).href = `https://www.imdb.com/title/${film.imdbId}/technical/`;
+  document.getElementById("lookup-letterboxd").href = film.slug
+    ? `https://letterboxd.com/film/${film.slug}/`
+    : `https://letterboxd.com/imdb/${film.imdbId}/`;
+
+  const aspectRatioEl = document.getElementById("lookup-ar");
+  aspectRatioEl.textContent = film.mappedTypeShort
+    ? `${film.aspectRatio} (${film.mappedTypeShort})`
+    : film.aspectRatio;
+  aspectRatioEl.style.fontWeight = "bold";
+  aspectRatioEl.style.color = film.overridden
+    ? "var(--pico-color-azure)"
+    : "var(--pico-color-green)";
+  aspectRatioEl.title = film.primaryReason
+    ? `Primary: ${film.primaryReason}`
+    : film.mappedTypeLong || "";
+
+  const layoutEl = document.getElementById("lookup-layout");
+  layoutEl.textContent = film.layoutLabel || "";
+  layoutEl.style.display = film.layoutLabel ? "inline" : "none";
+  renderRatioList(document.getElementById("lookup-ratios"), film.ratios);
+
+  const overrideEl = document.getElementById("lookup-override");
+  overrideEl.textContent = film.override
+    ? `✎ Your override${film.override.note ? `: ${film.override.note}` : ""}`
+    : "";
+  overrideEl.style.display = film.override ? "block" : "none";
+  showWarning(
+    document.getElementById("lookup-conflict"),
+    conflictWarning(film)
+  );
+  showWarning(document.getElementById("lookup-match"), matchWarning(film));
+
+  // Camera, film format, … as on the film page's Tech Specs tab
+  document.getElementById("lookup-specs").textContent = (film.techSpecs || [])
+    .map((spec) => `${spec.label}: ${spec.values.join(", ")}`)
+    .join(" · ");
+  document.getElementById("lookup-age").textContent = describeCacheAge(film);
+  document.getElementById("lookup-result").hidden = false;
+}
+
+// Recently viewed films, loaded when the section is opened (not on every 2s refresh)
+let historyEntries = [];
+const HISTORY_ROW_LIMIT = 50;
+
+function loadHistory() {
+  chrome.runtime.sendMessage({ type: "getHistory" }, (resp) => {
+    historyEntries = (resp && resp.entries) || [];
+    renderHistory();
   });
+}
 
-  // Refresh every 2 seconds while popup is open
-  setInterval(() => {
-    chrome.runtime.sendMessage({ type: "getStatus" }, (status) => {
-      if (status) updateUI(status);
+function historyEntryMatches(entry, query) {
+  if (!query) return true;
+  return [entry.title, entry.imdbId, entry.slug, ...(entry.ratios || [])].some(
+    (v) => v && v.toLowerCase().includes(query)
+  );
+}
+
+function renderHistory() {
+  const listEl = document.getElementById("history-list");
+  const query = document
+    .getElementById("history-search")
+    .value.trim()
+    .toLowerCase();
+  const matches = historyEntries.filter((e) => historyEntryMatches(e, query));
+  listEl.replaceChildren(
+    ...matches.slice(0, HISTORY_ROW_LIMIT).map(buildHistoryRow)
+  );
+  document.getElementById("history-count").textContent = query
+    ? `${matches.length} of ${historyEntries.length} films`
+    : `${historyEntries.length} films`;
+}
+
+function buildHistoryRow(entry) {
+  const li = document.createElement("li");
+  const link = document.createElement("a");
+  link.className = "history-title";
+  // Letterboxd redirects /imdb/<id>/ to the film page when the slug isn't known
+  link.href = entry.slug
+    ? `https://letterboxd.com/film/${entry.slug}/`
+    : `https://letterboxd.com/imdb/${entry.imdbId}/`;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = entry.title || entry.imdbId;
+  link.title = `Viewed ${new Date(entry.viewedAt).toLocaleString()}`;
+  const ratio = document.createElement("span");
+  ratio.className = "history-ratio";
+  ratio.textContent = entry.aspectRatio || "–";
+  ratio.title = (entry.ratios || []).join(", ");
+  li.append(link, ratio);
+  return li;
+}
+
+// Wait for DOM to be fully loaded before initializing
+document.addEventListener("DOMContentLoaded", () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    activeTabId = tabs && tabs[0] ? tabs[0].id : null;
+    activeTabIncognito = !!(tabs && tabs[0] && tabs[0].incognito);
+    refresh();
+    // Refresh every 2 seconds while popup is open
+    setInterval(refresh, 2000);
+  });
+
+  document.getElementById("open-settings").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  ["cache", "stats"].forEach((tab) => {
+    document.getElementById(`open-${tab}`).addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.tabs.create({
+        url: chrome.runtime.getURL(`common/options.html#${tab}`),
+      });
     });
-  }, 2000);
+  });
+
+  document.getElementById("override-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    sendOverride("setOverride");
+  });
+  document
+    .getElementById("override-clear")
+    .addEventListener("click", () => sendOverride("clearOverride"));
+  document
+    .getElementById("refresh-film")
+    .addEventListener("click", refreshFilm);
+
+  document.getElementById("lookup-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    lookupFilm();
+  });
+
+  document.getElementById("history-section").addEventListener("toggle", (e) => {
+    if (e.target.open) loadHistory();
+  });
+  document
+    .getElementById("history-search")
+    .addEventListener("input", renderHistory);
+  document.getElementById("history-clear").addEventListener("click", (e) => {
+    e.preventDefault();
+    if (!confirm("Clear the list of recently viewed films?")) return;
+    chrome.runtime.sendMessage({ type: "clearHistory" }, loadHistory);
+  });
 });
@@ -8,26 +8,95 @@
 // - Non-commercial personal use: Fetches public pages only when user visits Letterboxd
 
 const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
-const MIN_REQUEST_INTERVAL_MS = 1000; // 1 second between IMDb requests
+const MIN_REQUEST_INTERVAL_MS = 1000; // default gap between IMDb requests (Settings)
+const SLUG_CACHE_TTL_MS = CACHE_TTL_MS; // Letterboxd slug -> IMDb ID mapping
+const TMDB_CACHE_TTL_MS = CACHE_TTL_MS; // TMDB ID -> IMDb ID mapping
+const NEGATIVE_CACHE_TTL_MS = 3 * 24 * 60 * 60 * 1000; // "not found" results: 3 days
+const MAX_CACHE_ENTRIES = 5000; // ar: records kept; least recently used go first
+// Local storage in use before least recently used ar: records go, under the 10 MB quota:
+// records with snippets are large enough that 5000 of them wouldn't fit
+const MAX_CACHE_BYTES = 8 * 1024 * 1024;
+const STALE_RETENTION_MS = 90 * 24 * 60 * 60 * 1000; // expired records unused this long are dropped
+const ACCESS_WRITE_INTERVAL_MS = 60 * 60 * 1000; // refresh lastAccessedAt at most hourly
+const CACHE_CLEANUP_ALARM = "cacheCleanup";
+const MIGRATION_PENDING_KEY = "migrationPending"; // set while a failed migration awaits a retry
+// Bump whenever parsing or type mapping changes: records written by an older version
+// are re-derived at startup (from their stored snippet when they have one)
+const CACHE_SCHEMA_VERSION = 2;
+const MAX_SNIPPET_CHARS = 8000; // larger tech-spec sections are not kept
+const MAX_BATCH_SIZE = 20; // Tiles per getAspectRatioBatch message
+const MAX_HISTORY_ENTRIES = 500; // recently viewed films kept for the popup
+
+// User settings (chrome.storage.sync, edited on the options page)
+const DEFAULT_SETTINGS = {
+  primaryStrategy: "theatrical", // theatrical, widest, home-video
+  providerOrder: ["imdb", "wikidata", "custom"], // asked in this order
+  enabledProviders: { imdb: true, wikidata: false, custom: false },
+  customEndpoint: "", // e.g. https://example.org/ratios/{imdbId}.json
+  providerBaseUrls: {}, // providerId -> base URL override (local stub servers)
+  reconcileSources: true, // ask every enabled source and compare, not just the first
+  minRequestIntervalMs: MIN_REQUEST_INTERVAL_MS, // between IMDb requests
+  hourlyRequestCap: 60, // IMDb requests per rolling hour
+  dailyRequestCap: 300, // IMDb requests per rolling 24 hours
+  keepParseSnippets: true, // store IMDb's tech-specs section with each record
+};
+const PRIMARY_STRATEGIES = ["theatrical", "widest", "home-video"];
+let SETTINGS = { ...DEFAULT_SETTINGS };
 
 // Track per-tab aspect ratios (persisted to session storage)
-// aspectRatio is the primary (for icon), displayText is all ratios for page badge
-const TAB_DATA = new Map(); // tabId -> { imdbId, aspectRatio, displayText, filmTitle }
-
-// Rate limiting
-let lastImdbRequestTime = 0;
+// aspectRatio is the primary (for icon), displayText is all ratios for page badge;
+// the rest is what the popup shows for the active tab (see setTabData)
+const TAB_DATA = new Map(); // tabId -> { imdbId, status, aspectRatio, displayText, ratios, filmTitle, … }
+
+// Request scheduling: one serial queue per host (see scheduledFetch)
+const HOST_QUEUES = new Map(); // host -> { jobs: [], running, nextAt }
+const MAX_RETRIES = 3; // per request, on 429/503
+const BACKOFF_BASE_MS = 2000; // doubled on every retry
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 20000; // per attempt, until the response headers arrive
+
+// Timestamps of IMDb requests in the last 24 hours, for the hourly/daily budget.
+// Kept in local storage so restarting the browser doesn't reset the budget.
+let IMDB_REQUEST_LOG = [];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Films viewed on Letterboxd film pages, newest first, one entry per film (see recordHistory).
+// Normal windows only; kept in local storage under "history".
+let HISTORY = [];
+
+// Overrides set or cleared from private windows: session only, never written to storage.
+// Private windows see these first and the stored (ov:) ones otherwise.
+const INCOGNITO_OVERRIDES = new Map(); // imdbId -> override, or null where one was cleared
+
+// Source records fetched for private windows, which skip the cache: overrides set there
+// are layered on these instead of fetching the film again
+const INCOGNITO_RECORDS = new Map(); // imdbId -> record
+
+// Provider lookups in progress, so two tabs asking for one film share a fetch
+const IN_FLIGHT = new Map(); // "<incognito>:<imdbId>" -> Promise<record>
 
 // Track current status for popup (persisted to session storage)
 let STATUS = {
   lastImdbId: null,
-  lastStatus: "idle", // idle, fetching, success, error
+  lastStatus: "idle", // idle, fetching, success, error, budget-exhausted
   lastAspectRatio: null,
+  lastRatios: [], // [{ ratio, note, typeShort, typeLong }] for the last film
+  lastPrimaryReason: null, // why lastAspectRatio was picked as primary
+  lastLayout: null, // single, multi-format, variable
+  lastLayoutLabel: null,
+  lastConflict: null, // { sources, clusters } when sources disagree on the primary ratio
+  lastOverride: null, // the user's override for the last film, if any
+  lastMatch: null, // { confidence, mismatch, imdbTitle, imdbYear } vs Letterboxd's title/year
   lastFilmTitle: null,
   lastError: null,
   lastUpdate: null,
   totalFetches: 0,
   cacheHits: 0,
   imdbRequests: 0, // Actual network requests to IMDb (vs cache hits)
+  staleServed: 0, // expired records shown while refreshing in the background
+  forcedRefreshes: 0, // ↻ / "Refresh now" / cache manager refreshes
+  lookupErrors: 0, // film-page lookups that ended without a ratio
 };
 
 // Restore status and tab data from session storage on startup
@@ -44,6 +113,97 @@ chrome.storage.session.get(["status", "tabData"], (result) => {
   }
 });
 
+chrome.storage.local.get(["imdbRequestLog", "history"], (result) => {
+  if (result && Array.isArray(result.imdbRequestLog)) {
+    IMDB_REQUEST_LOG = result.imdbRequestLog.concat(IMDB_REQUEST_LOG);
+  }
+  if (result && Array.isArray(result.history)) {
+    // Films viewed before the restore finished stay on top
+    const seen = new Set(HISTORY.map((e) => e.imdbId));
+    HISTORY = HISTORY.concat(
+      result.history.filter((e) => !seen.has(e.imdbId))
+    ).slice(0, MAX_HISTORY_ENTRIES);
+  }
+});
+
+chrome.storage.sync.get(["settings"], (result) => {
+  if (result && result.settings) {
+    SETTINGS = { ...DEFAULT_SETTINGS, ...result.settings };
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.settings) {
+    SETTINGS = { ...DEFAULT_SETTINGS, ...changes.settings.newValue };
+  }
+});
+
+function validateSettings(input) {
+  const next = { ...SETTINGS };
+  if (!input) return next;
+  if (PRIMARY_STRATEGIES.includes(input.primaryStrategy)) {
+    next.primaryStrategy = input.primaryStrategy;
+  }
+
+  const known = DEFAULT_SETTINGS.providerOrder;
+  if (Array.isArray(input.providerOrder)) {
+    const order = input.providerOrder.filter((id) => known.includes(id));
+    // Keep every provider in the list exactly once
+    next.providerOrder = [
+      ...new Set([...order, ...known.filter((id) => !order.includes(id))]),
+    ];
+  }
+  if (input.enabledProviders && typeof input.enabledProviders === "object") {
+    next.enabledProviders = {};
+    known.forEach((id) => {
+      next.enabledProviders[id] = !!input.enabledProviders[id];
+    });
+  }
+  if (typeof input.reconcileSources === "boolean") {
+    next.reconcileSources = input.reconcileSources;
+  }
+  if (typeof input.keepParseSnippets === "boolean") {
+    next.keepParseSnippets = input.keepParseSnippets;
+  }
+  if (typeof input.customEndpoint === "string") {
+    next.customEndpoint = isHttpUrl(input.customEndpoint)
+      ? input.customEndpoint.trim()
+      : "";
+  }
+  // Request limits: whole numbers within sane bounds, anything else keeps the old value
+  const limits = {
+    minRequestIntervalMs: [250, 60000],
+    hourlyRequestCap: [1, 10000],
+    dailyRequestCap: [1, 100000],
+  };
+  Object.entries(limits).forEach(([key, [min, max]]) => {
+    const value = Math.round(Number(input[key]));
+    if (input[key] != null && Number.isFinite(value)) {
+      next[key] = Math.min(max, Math.max(min, value));
+    }
+  });
+  if (input.providerBaseUrls && typeof input.providerBaseUrls === "object") {
+    next.providerBaseUrls = {};
+    known.forEach((id) => {
+      const url = input.providerBaseUrls[id];
+      if (isHttpUrl(url)) {
+        next.providerBaseUrls[id] = url.trim().replace(/\/$/, "");
+      }
+    });
+  }
+  return next;
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== "string" || !value.trim()) return false;
+  try {
+    const url = new URL(value.trim().replace(/\{imdbId\}/g, "x"));
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch (err) {
+    return false;
+  }
+}
+
 function saveStatus() {
   chrome.storage.session.set({ status: STATUS });
 }
@@ -56,21 +216,50 @@ function saveTabData() {
   chrome.storage.session.set({ tabData: obj });
 }
 
+// Tooltip line for a Letterboxd page whose IMDb link looks like a different film
+function mismatchWarning(match) {
+  if (!match || !match.mismatch) return "";
+  return `\n⚠ IMDb link may be for another film: ${match.imdbTitle}${
+    match.imdbYear ? ` (${match.imdbYear})` : ""
+  }`;
+}
+
 function updateBadgeForTab(tabId) {
   const data = TAB_DATA.get(tabId);
-  if (data && data.aspectRatio) {
+  if (data && data.aspectRatio && data.layout === "variable") {
+    // Variable-within-film: distinct icon state, breakdown in the tooltip
+    chrome.action.setBadgeText({ text: "VAR", tabId });
+    chrome.action.setBadgeBackgroundColor({ color: "#9C27B0", tabId });
+    chrome.action.setTitle({
+      title: `${data.filmTitle || "Film"}: ${
+        data.layoutLabel || "Variable aspect ratio"
+      }\n${(data.displayText || "").split(" • ").join("\n")}${mismatchWarning(
+        data.match
+      )}`,
+      tabId,
+    });
+  } else if (data && data.aspectRatio) {
     // Keep icon badge short (e.g., 2.39 instead of 2.39:1)
     const shortText = formatBadgeTextForIcon(data.aspectRatio);
     chrome.action.setBadgeText({ text: shortText, tabId });
-    chrome.action.setBadgeBackgroundColor({ color: "#4CAF50", tabId });
+    chrome.action.setBadgeBackgroundColor({
+      // orange: possibly the wrong film, blue: user's own value
+      color:
+        data.match && data.match.mismatch
+          ? "#FF9800"
+          : data.overridden
+          ? "#2196F3"
+          : "#4CAF50",
+      tabId,
+    });
     chrome.action.setTitle({
       title: `${data.filmTitle || "Film"}: ${data.aspectRatio}${
-        data.mappedTypeShort ? ` (${data.mappedTypeShort})` : ""
-      }${
+        data.overridden ? " (your override)" : ""
+      }${data.mappedTypeShort ? ` (${data.mappedTypeShort})` : ""}${
         data.displayText && data.displayText !== data.aspectRatio
           ? `\nAll: ${data.displayText}`
           : ""
-      }`,
+      }${mismatchWarning(data.match)}`,
       tabId,
     });
   } else {
@@ -83,8 +272,20 @@ function cacheKey(imdbId) {
   return `ar:${imdbId}`;
 }
 
-async function getCached(imdbId) {
-  const key = cacheKey(imdbId);
+function slugCacheKey(slug) {
+  return `lb:${slug}`;
+}
+
+function tmdbCacheKey(tmdbType, tmdbId) {
+  return `tmdb:${tmdbType}:${tmdbId}`;
+}
+
+// Personal overrides live under their own prefix so cache writes never touch them
+function overrideKey(imdbId) {
+  return `ov:${imdbId}`;
+}
+
+async function getStored(key) {
   return new Promise((resolve) => {
     chrome.storage.local.get([key], (res) => {
       if (!res || !res[key]) return resolve(null);
@@ -93,93 +294,288 @@ async function getCached(imdbId) {
   });
 }
 
+// One storage.local.set; the error (or null) instead of a rejection
+function writeLocal(items) {
+  return new Promise((resolve) => {
+    try {
+      chrome.storage.local.set(items, () => resolve(chrome.runtime.lastError));
+    } catch (err) {
+      resolve(err);
+    }
+  });
+}
+
+function isQuotaError(err) {
+  return /quota/i.test(errorMessage(err));
+}
+
+// Every write to local storage goes through here. A full store never breaks the caller:
+// evict least recently used records until the write fits and retry once. Resolves false
+// instead of failing when the write is still rejected.
+async function setStoredItems(items) {
+  const names = Object.keys(items).join(", ");
+  let err = await writeLocal(items);
+  if (err && isQuotaError(err)) {
+    console.warn(`[LB-AR BG] Storage full writing ${names}, evicting`);
+    await evictLeastRecentlyUsed(await bytesNeededFor(items));
+    err = await writeLocal(items);
+  }
+  if (err) console.warn(`[LB-AR BG] Could not store ${names}:`, err);
+  return !err;
+}
+
+async function setStored(key, value) {
+  return setStoredItems({ [key]: value });
+}
+
+// Bytes to free before `items` fit under the quota (all of their size if it's unknown).
+// Items replacing existing keys are counted in full, which only frees a little extra.
+async function bytesNeededFor(items) {
+  const size = Object.entries(items).reduce(
+    (sum, [key, value]) => sum + storedItemBytes(key, value),
+    0
+  );
+  const quota = chrome.storage.local.QUOTA_BYTES;
+  if (!quota) return size;
+  return Math.max(1, (await storageBytesInUse()) + size - quota);
+}
+
+async function getCached(imdbId) {
+  return getStored(cacheKey(imdbId));
+}
+
+// If the store is full even after eviction the result is just not cached
 async function setCached(imdbId, value) {
-  const key = cacheKey(imdbId);
+  const record = {
+    ...value,
+    schemaVersion: CACHE_SCHEMA_VERSION,
+    lastAccessedAt: Date.now(),
+  };
+  const stored = await setStored(cacheKey(imdbId), record);
+  if (stored) noteCacheWrite(cacheKey(imdbId), record);
+  return stored;
+}
+
+// Cache hits bump lastAccessedAt for LRU eviction, written at most hourly per film
+async function touchCached(imdbId, record) {
+  if (Date.now() - (record.lastAccessedAt || 0) < ACCESS_WRITE_INTERVAL_MS) {
+    return;
+  }
+  await setStored(cacheKey(imdbId), { ...record, lastAccessedAt: Date.now() });
+}
+
+async function removeStored(key) {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(key, () => resolve());
+  });
+}
+
+async function getOverride(imdbId, { isIncognito = false } = {}) {
+  if (isIncognito && INCOGNITO_OVERRIDES.has(imdbId)) {
+    return INCOGNITO_OVERRIDES.get(imdbId);
+  }
+  return getStored(overrideKey(imdbId));
+}
+
+async function getAllStored() {
   return new Promise((resolve) => {
-    chrome.storage.local.set({ [key]: value }, () => resolve());
+    chrome.storage.local.get(null, (res) => resolve(res || {}));
   });
 }
 
+// Firefox has no getBytesInUse for storage.local; estimate from the JSON size there
+async function storageBytesInUse() {
+  if (typeof chrome.storage.local.getBytesInUse === "function") {
+    try {
+      return await new Promise((resolve) => {
+        chrome.storage.local.getBytesInUse(null, (bytes) => resolve(bytes));
+      });
+    } catch (err) {
+      // fall through to the estimate
+    }
+  }
+  const all = await getAllStored();
+  return Object.entries(all).reduce(
+    (sum, [key, value]) => sum + key.length + JSON.stringify(value).length,
+    0
+  );
+}
+
+// Field labels as IMDb renders them in each interface language it serves
+// (English, French, German, Spanish, Italian, Portuguese). Used only where no
+// structural marker (data-testid, __NEXT_DATA__) is available.
+const IMDB_LABELS = {
+  aspectRatio: [
+    "Aspect ratio",
+    "Format de l'image",
+    "Format d'image",
+    "Rapport d'aspect",
+    "Seitenverhältnis",
+    "Bildformat",
+    "Relación de aspecto",
+    "Formato de pantalla",
+    "Rapporto d'aspetto",
+    "Proporzioni",
+    "Proporção de tela",
+    "Proporção",
+  ],
+  academy: ["academy", "académie", "akademie", "academia", "accademia"],
+  fullScreen: [
+    "full screen",
+    "plein écran",
+    "vollbild",
+    "pantalla completa",
+    "schermo intero",
+    "tela cheia",
+  ],
+};
+
+// Alternation source for a label list; whitespace and apostrophes match loosely
+function labelPatternSource(labels) {
+  return labels
+    .map((l) =>
+      l
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/'/g, "(?:'|’|&#39;|&#x27;)")
+        .replace(/\s+/g, "\\s*")
+    )
+    .join("|");
+}
+
+const ASPECT_RATIO_LABEL_SRC = labelPatternSource(IMDB_LABELS.aspectRatio);
+// Where the next field starts in markup: its label element, a new table row or
+// definition term, or the next tech-spec item. Structure rather than words, since the
+// other labels ("Color", "Negative") also turn up in ratio notes.
+const FIELD_BOUNDARY_RE =
+  /<(?:tr|th|dt|h[1-6])\b|<\/(?:tr|dl|table)>|<[a-z]+\b[^>]*\bdata-testid=["']title-techspecs?[-_]|<[a-z]+\b[^>]*\bclass=["'][^"']*(?:__label|\blabel\b)[^"']*["']/i;
+const ACADEMY_RE = new RegExp(labelPatternSource(IMDB_LABELS.academy), "i");
+const FULL_SCREEN_RE = new RegExp(
+  labelPatternSource(IMDB_LABELS.fullScreen),
+  "i"
+);
+// Decimal commas ("1,85 : 1") appear on some localized pages
+const RATIO_TOKEN_RE = /(\d+(?:[.,]\d+)?)\s*:\s*(\d+(?:[.,]\d+)?)/;
+
+function parseLocaleNumber(text) {
+  return parseFloat(String(text).replace(",", "."));
+}
+
 function normalizeAspectRatioText(text) {
   if (!text) return null;
   let v = text.trim();
   // Normalize common spacing variants like "1.85 : 1" -> "1.85:1"
   v = v.replace(/\s*:\s*/g, ":");
   v = v.replace(/\s+/g, " ");
-  // Remove trailing label fragments like 'Camera', 'Runtime' if accidentally captured
-  v = v
-    .replace(
-      /\s*(Camera|Runtime|Sound mix|Color|Negative Format|Cinematographic Process|Printed Film Format).*$/i,
-      ""
-    )
-    .trim();
   return v;
 }
 
-// Extract the nearest self-contained block (tr/li/div) that holds the "Aspect ratio" label
+// Extract the nearest self-contained block (tr/li/div) that holds the "Aspect ratio" label.
+// strategy is "markup" for whole blocks, "text-window" for the blind fallback slice.
 function findAspectRatioBlocks(html) {
   const blocks = [];
-  if (!html) return blocks;
+  if (!html) return { blocks, strategy: null };
   const cleaned = html
     .replace(/<script[\s\S]*?<\/script>/gi, "")
     .replace(/<style[\s\S]*?<\/style>/gi, "");
 
-  // Common structures to support:
-  // - <tr>...<td>Aspect ratio</td><td>...</td></tr>
-  // - <li ...>...Aspect ratio...</li>
+  // Structural markers are the same in every language, so try them first:
+  // - <li ... data-testid="title-techspec_aspectratio">...</li> up to the next field
   // - <div ... data-testid="title-techspecs-aspectratio" ...>...</div>
+  const structural = [
+    /<li[^>]*?data-testid=["']title-techspec_aspectratio["'][\s\S]*?(?=<li[^>]*?data-testid=["']title-techspec_|<\/section>|$)/gi,
+    /<div[^>]*?data-testid=["']title-techspecs?[-_]aspectratio["'][\s\S]*?<\/div>/gi,
+  ];
+  for (const re of structural) {
+    const m = cleaned.match(re);
+    if (m && m.length) blocks.push(...m);
+  }
+  if (blocks.length > 0) return { blocks, strategy: "markup" };
 
+  // Label-based structures, with the label in any supported language:
+  // - <tr>...<td>Aspect ratio</td><td>...</td></tr>
+  // - <li ...>...Aspect ratio...</li>
+  // - <section>...Aspect ratio...</section>
+  const label = ASPECT_RATIO_LABEL_SRC;
   const patterns = [
-    /<tr[\s\S]*?>[\s\S]*?Aspect\s*ratio[\s\S]*?<\/tr>/gi,
-    /<li[\s\S]*?>[\s\S]*?Aspect\s*ratio[\s\S]*?<\/li>/gi,
-    /<div[^>]*?data-testid=["']title-techspecs-aspectratio["'][\s\S]*?<\/div>/gi,
-    /<section[\s\S]*?>[\s\S]*?Aspect\s*ratio[\s\S]*?<\/section>/gi,
+    new RegExp(`<tr[\\s\\S]*?>[\\s\\S]*?(?:${label})[\\s\\S]*?</tr>`, "gi"),
+    new RegExp(`<li[\\s\\S]*?>[\\s\\S]*?(?:${label})[\\s\\S]*?</li>`, "gi"),
+    new RegExp(
+      `<section[\\s\\S]*?>[\\s\\S]*?(?:${label})[\\s\\S]*?</section>`,
+      "gi"
+    ),
   ];
   for (const re of patterns) {
     const m = cleaned.match(re);
     if (m && m.length) blocks.push(...m);
   }
 
+  if (blocks.length > 0) return { blocks, strategy: "markup" };
+
   // Fallback: find around the first occurrence and capture limited range until a closing tag boundary
-  if (blocks.length === 0) {
-    const lower = cleaned.toLowerCase();
-    const idx = lower.indexOf("aspect ratio");
-    if (idx !== -1) {
-      const slice = cleaned.slice(Math.max(0, idx - 200), idx + 800);
-      blocks.push(slice);
-    }
+  const labelMatch = cleaned.match(new RegExp(label, "i"));
+  const idx = labelMatch ? labelMatch.index : -1;
+  if (idx !== -1) {
+    const slice = cleaned.slice(Math.max(0, idx - 200), idx + 800);
+    blocks.push(slice);
+  }
+  return { blocks, strategy: blocks.length > 0 ? "text-window" : null };
+}
+
+// 2.39 : 1 -> "2.39:1"
+function normalizeRatioValue(num, den) {
+  return `${(Math.round((num / den) * 100) / 100).toFixed(2)}:1`;
+}
+
+// The aspect ratio field of a block: from its label (or the block's opening tag when
+// the label is in a language we don't list) up to where the next field starts
+function aspectRatioFieldHtml(blockHtml) {
+  // The label as text, not inside a tag (data-testid="…aspectratio" would match too)
+  const labelRe = new RegExp(ASPECT_RATIO_LABEL_SRC, "gi");
+  let label;
+  while ((label = labelRe.exec(blockHtml))) {
+    const before = blockHtml.slice(0, label.index);
+    if (before.lastIndexOf("<") <= before.lastIndexOf(">")) break;
   }
-  return blocks;
+  const start = label
+    ? label.index + label[0].length
+    : blockHtml.indexOf(">") + 1;
+  const rest = blockHtml.slice(start);
+  const next = rest.search(FIELD_BOUNDARY_RE);
+  return blockHtml.slice(0, start) + (next === -1 ? rest : rest.slice(0, next));
 }
 
 // Pull individual ratio tokens out of a block; support variants and notes
 function parseRatiosFromBlock(blockHtml) {
   if (!blockHtml) return [];
 
-  // First, aggressively remove all HTML tags and attributes
-  let text = blockHtml
+  // First, aggressively remove all HTML tags and attributes. Label elements go
+  // entirely, so whatever language the label is in never reaches the ratio text.
+  let text = aspectRatioFieldHtml(blockHtml)
     .replace(/<script[\s\S]*?<\/script>/gi, "")
     .replace(/<style[\s\S]*?<\/style>/gi, "")
+    .replace(
+      /<(span|label)\b[^>]*class=["'][^"']*__label[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi,
+      " "
+    )
     .replace(/<a\b[^>]*>/gi, " ")
     .replace(/<\/a>/gi, " ")
     .replace(/<li\b[^>]*>/gi, " ")
-    .replace(/<\/li>/gi, " ")
+    .replace(/<\/li>/gi, " • ") // one ratio per list item
     .replace(/<ul\b[^>]*>/gi, " ")
     .replace(/<\/ul>/gi, " ")
     .replace(/<div\b[^>]*>/gi, " ")
     .replace(/<\/div>/gi, " ")
     .replace(/<span\b[^>]*>/gi, " ")
     .replace(/<\/span>/gi, " ")
-    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<br\s*\/?>/gi, " • ") // older pages put one ratio per line
     .replace(/<[^>]*>/g, " ")
     .replace(/\s+/g, " ")
     .trim();
 
-  // After the label, keep only the part STRICTLY before next known field label
-  const afterLabel = text.replace(/^[\s\S]*?aspect\s*ratio\s*/i, "");
-  const clipped = afterLabel
+  // Drop everything up to the label itself
+  const clipped = text
     .replace(
-      /\b(Camera|Runtime|Sound mix|Color|Negative|Cinematographic|Printed|Laboratory|Film length|Contribute to this page)\b[\s\S]*$/i,
+      new RegExp(`^[\\s\\S]*?(?:${ASPECT_RATIO_LABEL_SRC})\\s*`, "i"),
       ""
     )
     .trim();
@@ -214,18 +610,22 @@ function parseRatiosFromBlock(blockHtml) {
   const out = [];
   for (const p of parts) {
     // Extract first ratio-like pattern (handles "2.39 : 1", "1.43:1", etc.)
-    const m = p.match(/(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/);
+    const m = p.match(RATIO_TOKEN_RE);
     if (m) {
-      const num = parseFloat(m[1]);
-      const den = parseFloat(m[2]);
+      const num = parseLocaleNumber(m[1]);
+      const den = parseLocaleNumber(m[2]);
       if (den !== 0 && num > 0) {
-        const normalized = `${(Math.round((num / den) * 100) / 100).toFixed(
-          2
-        )}:1`;
+        const normalized = normalizeRatioValue(num, den);
         // Extract any parenthetical note that follows the ratio
         const afterRatio = p.slice(p.indexOf(m[0]) + m[0].length).trim();
-        const noteMatch = afterRatio.match(/^\s*\(([^)]+)\)/);
-        const note = noteMatch ? noteMatch[1].trim() : null;
+        // IMDb often stacks several, e.g. "(IMAX version) (some scenes)"
+        const noteMatch = afterRatio.match(/^(?:\s*\([^)]+\))+/);
+        const note = noteMatch
+          ? noteMatch[0]
+              .match(/\(([^)]+)\)/g)
+              .map((n) => n.slice(1, -1).trim())
+              .join(", ")
+          : null;
 
         out.push({
           ratio: normalized,
@@ -238,9 +638,9 @@ function parseRatiosFromBlock(blockHtml) {
 
     // Handle common labels that imply a ratio
     const lowered = p.toLowerCase();
-    if (/academy/.test(lowered))
+    if (ACADEMY_RE.test(lowered))
       out.push({ ratio: "1.37:1", raw: "1.37:1", note: null });
-    else if (/4\s*:?\s*3|\bfull\s*screen\b/.test(lowered))
+    else if (/4\s*:?\s*3/.test(lowered) || FULL_SCREEN_RE.test(lowered))
       out.push({ ratio: "1.33:1", raw: "1.33:1", note: null });
     else if (/16\s*:?\s*9|hdtv|1\.78/.test(lowered))
       out.push({ ratio: "1.78:1", raw: "1.78:1", note: null });
@@ -249,14 +649,155 @@ function parseRatiosFromBlock(blockHtml) {
   return out;
 }
 
+// Technical specs shown next to the aspect ratio. testId is the suffix of IMDb's
+// data-testid="title-techspec_<testId>" (and the section item id in __NEXT_DATA__);
+// label matches the older table markup; json names the list and value keys of the
+// GraphQL technicalSpecifications object.
+const TECH_SPEC_FIELDS = [
+  { key: "runtime", testId: "runtime", label: "Runtime" },
+  {
+    key: "soundMix",
+    testId: "soundmix",
+    label: "Sound mix",
+    json: { list: "soundMixes", value: "text" },
+  },
+  {
+    key: "color",
+    testId: "color",
+    label: "Color",
+    json: { list: "colorations", value: "text" },
+  },
+  {
+    key: "camera",
+    testId: "camera",
+    label: "Camera",
+    json: { list: "cameras", value: "camera" },
+  },
+  {
+    key: "laboratory",
+    testId: "laboratory",
+    label: "Laboratory",
+    json: { list: "laboratories", value: "laboratory" },
+  },
+  {
+    key: "filmLength",
+    testId: "filmlength",
+    label: "Film length",
+    json: { list: "filmLengths", value: "filmLength" },
+  },
+  {
+    key: "negativeFormat",
+    testId: "negativeformat",
+    label: "Negative Format",
+    json: { list: "negativeFormats", value: "negativeFormat" },
+  },
+  {
+    key: "cinematographicProcess",
+    testId: "process",
+    label: "Cinematographic Process",
+    json: { list: "processes", value: "process" },
+  },
+  {
+    key: "printedFilmFormat",
+    testId: "printedformat",
+    label: "Printed Film Format",
+    json: { list: "printedFormats", value: "printedFormat" },
+  },
+];
+
+function htmlToText(fragment) {
+  return fragment
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Values of one tech-spec field: one per inner <li>, else the whole text minus its label
+function techSpecValuesFromSegment(segment, label) {
+  const body = segment
+    .slice(segment.indexOf(">") + 1)
+    .replace(
+      /<(span|label)\b[^>]*class=["'][^"']*__label[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi,
+      " "
+    );
+  const items = body.match(/<li\b[^>]*>[\s\S]*?<\/li>/gi) || [];
+  const values = items.map(htmlToText).filter(Boolean);
+  if (values.length > 0) return values;
+  const text = htmlToText(body).replace(new RegExp(`^${label}\\s*`, "i"), "");
+  return text ? [text] : [];
+}
+
+// [{ key, label, values }] in TECH_SPEC_FIELDS order; fields IMDb doesn't list are omitted
+function parseTechSpecsFromImdb(html) {
+  if (!html) return [];
+  const cleaned = html
+    .replace(/<script[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[\s\S]*?<\/style>/gi, "");
+
+  // Current markup: each field is an element tagged data-testid="title-techspec_<id>"
+  const marker = /data-testid=["']title-techspec_([a-z]+)["']/gi;
+  const starts = [];
+  let m;
+  while ((m = marker.exec(cleaned))) {
+    starts.push({ id: m[1].toLowerCase(), index: m.index });
+  }
+  const segments = new Map();
+  starts.forEach((s, i) => {
+    let end = i + 1 < starts.length ? starts[i + 1].index : s.index + 5000;
+    const sectionEnd = cleaned.indexOf("</section>", s.index);
+    if (sectionEnd !== -1) end = Math.min(end, sectionEnd);
+    segments.set(s.id, cleaned.slice(s.index, end));
+  });
+
+  const specs = [];
+  for (const field of TECH_SPEC_FIELDS) {
+    let values = [];
+    const segment = segments.get(field.testId);
+    if (segment) {
+      values = techSpecValuesFromSegment(segment, field.label);
+    } else {
+      // Older table markup: <tr><td>Label</td><td>value<br>value</td></tr>
+      const row = cleaned.match(
+        new RegExp(
+          `<td[^>]*>\\s*${field.label}\\s*</td>\\s*<td[^>]*>([\\s\\S]*?)</td>`,
+          "i"
+        )
+      );
+      if (row) {
+        values = row[1]
+          .split(/<br\s*\/?>|\|/i)
+          .map(htmlToText)
+          .filter(Boolean);
+      }
+    }
+    if (values.length > 0) {
+      specs.push({ key: field.key, label: field.label, values });
+    }
+  }
+  return specs;
+}
+
 function uniqueRatios(entries) {
-  const seen = new Set();
+  const byRatio = new Map();
   const uniq = [];
   for (const e of entries) {
     if (!e || !e.ratio) continue;
-    if (seen.has(e.ratio)) continue;
-    seen.add(e.ratio);
-    uniq.push(e);
+    const existing = byRatio.get(e.ratio);
+    if (!existing) {
+      const copy = { ...e };
+      byRatio.set(e.ratio, copy);
+      uniq.push(copy);
+      continue;
+    }
+    // Same ratio listed twice (or matched by two block patterns): keep every distinct note
+    if (e.note && !(existing.note || "").includes(e.note)) {
+      existing.note = existing.note ? `${existing.note}; ${e.note}` : e.note;
+    }
   }
   return uniq;
 }
@@ -270,10 +811,13 @@ function ratioToNumber(ratio) {
   return num / den;
 }
 
+// Two ratios closer than this are the same format (2.39 vs 2.40, 1.78 vs 16:9)
+const RATIO_TOLERANCE = 0.02;
+
 function mapRatioToType(ratio) {
   const val = ratioToNumber(ratio);
   if (val == null) return { short: null, long: null };
-  const within = (t, d = 0.02) => Math.abs(val - t) <= d;
+  const within = (t, d = RATIO_TOLERANCE) => Math.abs(val - t) <= d;
 
   // Ultra-wide and specialty formats
   if (within(4.0)) return { short: "Polyvision", long: "Polyvision" };
@@ -318,10 +862,22 @@ function mapRatioToType(ratio) {
   return { short: null, long: null };
 }
 
+// Format families (mapRatioToType short names) present in a record, primary first
+function familiesForRecord(record) {
+  if (!record) return [];
+  const ratios = [record.aspectRatio, ...(record.allAspectRatios || [])];
+  const families = [];
+  for (const r of ratios) {
+    const family = mapRatioToType(r).short || "Other";
+    if (!families.includes(family)) families.push(family);
+  }
+  return families;
+}
+
 function scoreForPrimary(ratio) {
   const val = ratioToNumber(ratio);
   if (val == null) return 0;
-  const within = (t, d = 0.02) => Math.abs(val - t) <= d;
+  const within = (t, d = RATIO_TOLERANCE) => Math.abs(val - t) <= d;
   // Ranking preference: Scope > 1.85 > 2.20 > 1.90 > 2.11 > 1.78 > 1.66 > 2.00 > 1.43 > specialty wide formats > others
   if (within(2.4) || within(2.39) || within(2.35)) return 100;
   if (within(1.85)) return 95;
@@ -341,19 +897,177 @@ function scoreForPrimary(ratio) {
   return 10; // default
 }
 
-function choosePrimaryRatio(ratios) {
-  if (!ratios || ratios.length === 0) return null;
-  let best = ratios[0];
-  let bestScore = scoreForPrimary(best);
-  for (let i = 1; i < ratios.length; i++) {
-    const r = ratios[i];
-    const s = scoreForPrimary(r);
-    if (s > bestScore) {
-      best = r;
-      bestScore = s;
+// Release context implied by an IMDb note, e.g. "(theatrical)" or "(Blu-ray, cropped)"
+function releaseContextForNote(note) {
+  if (!note) return null;
+  const n = note.toLowerCase();
+  if (/open[\s-]*matte|unmatted/.test(n)) return "open-matte";
+  if (
+    /blu-?ray|dvd|vhs|laserdisc|home video|video release|\btv\b|television|streaming|\b4k\b|uhd|cropped|pan.{0,5}scan/.test(
+      n
+    )
+  )
+    return "home-video";
+  if (/theatrical|original|negative|intended|release print|projection/.test(n))
+    return "theatrical";
+  return "other"; // e.g. "IMAX version", "some scenes"
+}
+
+// Context rank per strategy; higher wins, ties fall back to scoreForPrimary
+const CONTEXT_RANKS = {
+  theatrical: {
+    theatrical: 4,
+    none: 3,
+    other: 2,
+    "open-matte": 1,
+    "home-video": 0,
+  },
+  "home-video": {
+    "home-video": 4,
+    "open-matte": 3,
+    none: 2,
+    theatrical: 1,
+    other: 0,
+  },
+};
+
+const CONTEXT_REASONS = {
+  theatrical: "marked theatrical / original",
+  none: "no release note",
+  other: "special-release note (e.g. IMAX), no plain ratio listed",
+  "open-matte": "open-matte variant",
+  "home-video": "marked for home video",
+};
+
+// Pick the icon ratio from [{ ratio, note }] and explain why
+function choosePrimaryRatio(
+  entries,
+  strategy = DEFAULT_SETTINGS.primaryStrategy
+) {
+  if (!entries || entries.length === 0) return null;
+  if (entries.length === 1) {
+    return { ratio: entries[0].ratio, reason: "only listed ratio" };
+  }
+
+  if (strategy === "widest") {
+    let best = entries[0];
+    for (const e of entries) {
+      if ((ratioToNumber(e.ratio) || 0) > (ratioToNumber(best.ratio) || 0)) {
+        best = e;
+      }
+    }
+    return { ratio: best.ratio, reason: "widest listed ratio" };
+  }
+
+  const ranks = CONTEXT_RANKS[strategy] || CONTEXT_RANKS.theatrical;
+  let best = null;
+  for (const e of entries) {
+    const context = releaseContextForNote(e.note) || "none";
+    const candidate = {
+      ratio: e.ratio,
+      context,
+      rank: ranks[context],
+      confidence: e.confidence == null ? 1 : e.confidence,
+      score: scoreForPrimary(e.ratio),
+    };
+    // Release context first, then how many sources agree, then format popularity
+    if (
+      !best ||
+      candidate.rank > best.rank ||
+      (candidate.rank === best.rank &&
+        (candidate.confidence > best.confidence ||
+          (candidate.confidence === best.confidence &&
+            candidate.score > best.score)))
+    ) {
+      best = candidate;
     }
   }
-  return best;
+
+  const tied = entries.filter(
+    (e) => ranks[releaseContextForNote(e.note) || "none"] === best.rank
+  );
+  const reason =
+    tied.length > 1
+      ? `${CONTEXT_REASONS[best.context]}; most common format among ${
+          tied.length
+        }`
+      : CONTEXT_REASONS[best.context];
+  return { ratio: best.ratio, reason };
+}
+
+// Notes that describe part of the film rather than a release, e.g. "(1930s sequences)",
+// "(IMAX sequences)". Only words for stretches of the film: "some"/"certain" also
+// qualify releases ("some prints", "certain theatres").
+const IN_FILM_NOTE_RE =
+  /\b(scenes?|sequences?|segments?|shots?|flashbacks?|footage|variable|opening|ending|prologue|epilogue|dreams?)\b/i;
+
+// single: one ratio; multi-format: different releases (theatrical vs home video);
+// variable: the film itself switches ratios (Grand Budapest Hotel, Mommy, IMAX scenes)
+function classifyRatioLayout(entries) {
+  if (!entries || entries.length <= 1) return "single";
+  if (entries.some((e) => e.note && IN_FILM_NOTE_RE.test(e.note))) {
+    return "variable";
+  }
+  return "multi-format";
+}
+
+function formatLayoutLabel(layout, entries) {
+  if (layout === "multi-format") return `${entries.length} formats`;
+  if (layout !== "variable") return null;
+  const values = entries
+    .map((e) => ratioToNumber(e.ratio))
+    .filter((v) => v != null)
+    .sort((a, b) => a - b);
+  if (values.length === 0) return "Variable";
+  return `Variable ${values[0].toFixed(2)}–${values[values.length - 1].toFixed(
+    2
+  )}:1`;
+}
+
+// Primary ratio, type names and display text derived from parsed [{ ratio, note }]
+function buildRatioRecord(entries, strategy) {
+  const list = entries.map((e) => e.ratio);
+  const primary = choosePrimaryRatio(entries, strategy) || {
+    ratio: list[0],
+    reason: null,
+  };
+  const aspectRatio = normalizeAspectRatioText(primary.ratio);
+
+  // Build display text with friendly names and IMDb's notes for each ratio
+  const ratios = describeRatioEntries(entries);
+  const displayText = ratios.map((e) => formatRatioEntry(e)).join(" • ");
+
+  const typeMap = mapRatioToType(aspectRatio);
+  const layout = classifyRatioLayout(entries);
+  return {
+    aspectRatio,
+    displayText,
+    allAspectRatios: list,
+    ratios,
+    mappedTypeShort: typeMap.short,
+    mappedTypeLong: typeMap.long,
+    primaryReason: primary.reason,
+    primaryStrategy: strategy,
+    layout,
+    layoutLabel: formatLayoutLabel(layout, entries),
+  };
+}
+
+// Cached records keep the strategy they were built with; re-derive when the setting changes
+function applyPrimaryStrategy(record, strategy) {
+  if (!record) return record;
+  if (record.primaryStrategy === strategy && record.layout) return record;
+  const entries = ratioEntriesForRecord(record);
+  if (entries.length === 0) return record;
+  const rebuilt = { ...record, ...buildRatioRecord(entries, strategy) };
+  if (record.reconciliation) {
+    const primary = entries.find((e) => e.ratio === rebuilt.aspectRatio);
+    rebuilt.reconciliation = {
+      ...record.reconciliation,
+      conflict: !primary || primary.confidence < 1,
+    };
+  }
+  return rebuilt;
 }
 
 function formatBadgeTextForIcon(ratio) {
@@ -368,105 +1082,2176 @@ function formatBadgeTextForIcon(ratio) {
 }
 
 function parseAllAspectRatiosFromImdb(html) {
-  const blocks = findAspectRatioBlocks(html);
+  const { blocks, strategy } = findAspectRatioBlocks(html);
   const entries = blocks.flatMap((b) => parseRatiosFromBlock(b));
-  const uniq = uniqueRatios(entries);
-  return uniq.map((e) => e.ratio);
+  return {
+    entries: uniqueRatios(entries).map((e) => ({
+      ratio: e.ratio,
+      note: e.note || null,
+    })),
+    strategy,
+  };
 }
 
-async function fetchImdbAspectRatio(imdbId) {
-  // Rate limiting: ensure minimum interval between requests
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastImdbRequestTime;
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL_MS) {
-    const delay = MIN_REQUEST_INTERVAL_MS - timeSinceLastRequest;
-    console.log(
-      `[LB-AR BG] Rate limiting: waiting ${delay}ms before IMDb request`
-    );
-    await new Promise((resolve) => setTimeout(resolve, delay));
+// ---- Structured parser: the JSON IMDb embeds in <script id="__NEXT_DATA__"> ----
+
+function extractNextData(html) {
+  const m = html.match(
+    /<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i
+  );
+  if (!m) return null;
+  try {
+    return JSON.parse(m[1]);
+  } catch (err) {
+    console.warn("[LB-AR BG] Could not parse __NEXT_DATA__:", err);
+    return null;
   }
+}
 
-  const url = `https://www.imdb.com/title/${imdbId}/technical/`;
-  console.log(`[LB-AR BG] Fetching from IMDb: ${url}`);
+// Depth-first search for the first object matching predicate
+function findInJson(node, predicate, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 40) return null;
+  if (!Array.isArray(node) && predicate(node)) return node;
+  for (const value of Object.values(node)) {
+    const found = findInJson(value, predicate, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
 
-  lastImdbRequestTime = Date.now();
-  STATUS.imdbRequests++;
+function joinJsonNotes(parts) {
+  const notes = parts
+    .map((p) =>
+      String(p || "")
+        .replace(/^\(|\)$/g, "")
+        .trim()
+    )
+    .filter(Boolean);
+  return notes.length > 0 ? notes.join(", ") : null;
+}
 
-  const res = await fetch(url, {
-    method: "GET",
-    credentials: "omit",
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-    },
-  });
+function ratioEntryFromText(text, note) {
+  const m = String(text || "").match(RATIO_TOKEN_RE);
+  if (!m) return null;
+  const num = parseLocaleNumber(m[1]);
+  const den = parseLocaleNumber(m[2]);
+  if (!(num > 0) || !(den > 0)) return null;
+  return { ratio: normalizeRatioValue(num, den), note: note || null };
+}
 
-  if (!res.ok) {
-    throw new Error(`IMDb fetch failed: ${res.status}`);
+// Two shapes are in use: the GraphQL "technicalSpecifications" object
+// ({ aspectRatios: { items: [{ aspectRatio, attributes: [{ text }] }] }, cameras: … })
+// and the page section list ([{ id: "aspectratio", listContent: [{ text, subText }] }])
+function parseStructuredTechSpecs(nextData) {
+  if (!nextData) return null;
+
+  const techSpecsObj = findInJson(
+    nextData,
+    (o) => o.aspectRatios && Array.isArray(o.aspectRatios.items)
+  );
+  if (techSpecsObj) {
+    const entries = techSpecsObj.aspectRatios.items
+      .map((item) =>
+        ratioEntryFromText(
+          item.aspectRatio,
+          joinJsonNotes((item.attributes || []).map((a) => a.text))
+        )
+      )
+      .filter(Boolean);
+
+    const techSpecs = [];
+    for (const field of TECH_SPEC_FIELDS) {
+      const list = field.json && techSpecsObj[field.json.list];
+      if (!list || !Array.isArray(list.items)) continue;
+      const values = list.items
+        .map((item) => {
+          const value = item[field.json.value];
+          const note = joinJsonNotes(
+            (item.attributes || []).map((a) => a.text)
+          );
+          if (!value) return null;
+          return note ? `${value} (${note})` : String(value);
+        })
+        .filter(Boolean);
+      if (values.length > 0) {
+        techSpecs.push({ key: field.key, label: field.label, values });
+      }
+    }
+    return { entries: uniqueRatios(entries), techSpecs };
   }
 
-  const html = await res.text();
-  console.log(`[LB-AR BG] Received ${html.length} bytes from IMDb`);
-
-  const list = parseAllAspectRatiosFromImdb(html);
-  if (!list || list.length === 0) {
-    throw new Error("Aspect ratio not found on IMDb");
+  const section = findInJson(
+    nextData,
+    (o) =>
+      Array.isArray(o.items) &&
+      o.items.some((i) => i && i.id === "aspectratio" && i.listContent)
+  );
+  if (section) {
+    const byId = new Map(section.items.map((i) => [i && i.id, i]));
+    const aspect = byId.get("aspectratio");
+    const entries = (aspect.listContent || [])
+      .map((c) => ratioEntryFromText(c.text, joinJsonNotes([c.subText])))
+      .filter(Boolean);
+
+    const techSpecs = [];
+    for (const field of TECH_SPEC_FIELDS) {
+      const item = byId.get(field.testId);
+      if (!item || !Array.isArray(item.listContent)) continue;
+      const values = item.listContent
+        .map((c) => [c.text, c.subText].filter(Boolean).join(" ").trim())
+        .filter(Boolean);
+      if (values.length > 0) {
+        techSpecs.push({ key: field.key, label: field.label, values });
+      }
+    }
+    return { entries: uniqueRatios(entries), techSpecs };
   }
 
-  console.log(`[LB-AR BG] Parsed aspect ratios:`, list);
+  return null;
+}
 
-  // Normalize and unique already handled; choose primary and compute display text
-  const primary = choosePrimaryRatio(list) || list[0];
-  const aspectRatio = normalizeAspectRatioText(primary);
+// The part of an IMDb technical page the parsers read, small enough to keep with the
+// cached record: the <title>, the tech-spec objects from __NEXT_DATA__ and the tech-spec
+// markup with every attribute but data-testid/class dropped. Null if it would be too big
+// or would not parse to the same ratios as the full page.
+function extractTechSpecsSnippet(html, entries) {
+  const parts = [];
+  const title = html.match(/<title>[\s\S]*?<\/title>/i);
+  if (title) parts.push(title[0]);
+
+  const nextData = extractNextData(html);
+  if (nextData) {
+    const kept = {
+      techSpecs: findInJson(
+        nextData,
+        (o) => o.aspectRatios && Array.isArray(o.aspectRatios.items)
+      ),
+      sections: findInJson(
+        nextData,
+        (o) =>
+          Array.isArray(o.items) &&
+          o.items.some((i) => i && i.id === "aspectratio" && i.listContent)
+      ),
+      title: findInJson(
+        nextData,
+        (o) => o.titleText && typeof o.titleText.text === "string"
+      ),
+    };
+    if (kept.techSpecs || kept.sections) {
+      const json = JSON.stringify({ snippet: kept }).replace(/<\//g, "<\\/");
+      parts.push(
+        `<script id="__NEXT_DATA__" type="application/json">${json}</script>`
+      );
+    }
+  }
 
-  // Build display text with friendly names for each ratio
-  const displayParts = list.map((r) => {
-    const typeMap = mapRatioToType(r);
-    if (typeMap.long) {
-      return `${r} (${typeMap.long})`;
+  const cleaned = html
+    .replace(/<script[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[\s\S]*?<\/style>/gi, "");
+  let start = cleaned.search(/data-testid=["']title-techspec/i);
+  let end = -1;
+  if (start !== -1) {
+    start = cleaned.lastIndexOf("<", start);
+    const last = cleaned.lastIndexOf("title-techspec");
+    end = cleaned.indexOf("</section>", last);
+    end = end === -1 ? last + 5000 : end + "</section>".length;
+  } else {
+    // Older table/list layouts: the neighbourhood of the aspect ratio label
+    const label = cleaned.search(new RegExp(ASPECT_RATIO_LABEL_SRC, "i"));
+    if (label !== -1) {
+      start = cleaned.lastIndexOf("<table", label);
+      if (start === -1) start = Math.max(0, label - 2000);
+      end = cleaned.indexOf("</table>", label);
+      end = end === -1 ? label + 4000 : end + "</table>".length;
     }
-    return r;
-  });
-  const displayText = displayParts.join(" • ");
+  }
+  if (start !== -1) {
+    parts.push(
+      cleaned
+        .slice(start, end)
+        .replace(/<(\/?[a-z][a-z0-9]*)\b([^>]*)>/gi, (tag, name, attrs) => {
+          const keep = (
+            attrs.match(/\s(?:data-testid|class)=(["'])[^"']*\1/gi) || []
+          ).join("");
+          return `<${name}${keep}>`;
+        })
+        .replace(/\s+/g, " ")
+    );
+  }
 
-  const typeMap = mapRatioToType(aspectRatio);
+  const snippet = parts.join("\n");
+  if (snippet.length > MAX_SNIPPET_CHARS) return null;
+  const reparsed = parseImdbTechnicalPage(snippet).entries.map((e) => e.ratio);
+  const original = entries.map((e) => e.ratio);
+  if (reparsed.join("|") !== original.join("|")) return null;
+  return snippet;
+}
+
+// Title and release year of the page's film, to check Letterboxd linked the right one.
+// IMDb may localize the display title, so the original title is kept too.
+function parseImdbTitleInfo(html) {
+  const nextData = extractNextData(html);
+  const entity =
+    nextData &&
+    findInJson(
+      nextData,
+      (o) => o.titleText && typeof o.titleText.text === "string"
+    );
+  if (entity) {
+    return {
+      title: entity.titleText.text,
+      originalTitle:
+        (entity.originalTitleText && entity.originalTitleText.text) || null,
+      year: (entity.releaseYear && entity.releaseYear.year) || null,
+    };
+  }
 
-  console.log(`[LB-AR BG] Selected primary aspect ratio: ${aspectRatio}`);
-  console.log(`[LB-AR BG] Display text with names: ${displayText}`);
+  // "The Matrix (1999) - Technical specifications - IMDb", "Dark (TV Series 2017–2020) - …"
+  const m = html.match(/<title>([\s\S]*?)<\/title>/i);
+  if (!m) return null;
+  const text = htmlToText(m[1]);
+  const withYear = text.match(
+    /^(.+?)\s*\((?:[^()]*?\s)?(\d{4})(?:[–-]\d{0,4})?\)/
+  );
+  if (withYear) {
+    return {
+      title: withYear[1],
+      originalTitle: null,
+      year: parseInt(withYear[2], 10),
+    };
+  }
+  const title = text.replace(/\s+-\s+.*IMDb.*$/i, "").trim();
+  return title ? { title, originalTitle: null, year: null } : null;
+}
 
-  return {
-    aspectRatio,
-    displayText,
-    allAspectRatios: list,
-    mappedTypeShort: typeMap.short,
-    mappedTypeLong: typeMap.long,
-    source: "imdb",
-    sourceUrl: url,
-  };
+function normalizeTitle(title) {
+  return String(title || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/^(the|a|an) /, "")
+    .trim();
 }
 
-// Listen for tab activation to update badge
-chrome.tabs.onActivated.addListener((activeInfo) => {
-  updateBadgeForTab(activeInfo.tabId);
-});
+// 1 for the same title, partial credit for shared words ("Alien" vs "Alien: Director's Cut")
+function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const wordsX = new Set(x.split(" "));
+  const wordsY = new Set(y.split(" "));
+  const shared = [...wordsX].filter((w) => wordsY.has(w)).length;
+  const overlap = shared / new Set([...wordsX, ...wordsY]).size;
+  return x.includes(y) || y.includes(x) ? Math.max(0.8, overlap) : overlap;
+}
 
-// Listen for tab updates (URL changes)
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.url) {
-    // URL changed, clear badge for this tab
-    TAB_DATA.delete(tabId);
-    saveTabData();
-    updateBadgeForTab(tabId);
+// Below this the badge warns that the IMDb link may be for another film
+const MATCH_WARN_BELOW = 0.7;
+
+// Compare IMDb's title/year with Letterboxd's. Title counts 60%, year 40%
+// (a year apart is common: festival vs release). Null when there's nothing to compare.
+function matchFilm(titleInfo, page) {
+  if (!titleInfo || !titleInfo.title || !page || !page.title) return null;
+
+  const titleScore = Math.max(
+    ...[titleInfo.title, titleInfo.originalTitle]
+      .filter(Boolean)
+      .flatMap((imdbTitle) =>
+        [page.title, page.originalTitle]
+          .filter(Boolean)
+          .map((lbTitle) => titleSimilarity(imdbTitle, lbTitle))
+      )
+  );
+
+  let confidence = titleScore;
+  const lbYear = parseInt(page.year, 10);
+  if (titleInfo.year && lbYear) {
+    const diff = Math.abs(titleInfo.year - lbYear);
+    const yearScore = diff === 0 ? 1 : diff === 1 ? 0.8 : diff === 2 ? 0.4 : 0;
+    confidence = titleScore * 0.6 + yearScore * 0.4;
   }
-});
+  confidence = Math.round(confidence * 100) / 100;
 
-// Clean up when tabs are closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  TAB_DATA.delete(tabId);
+  return {
+    confidence,
+    mismatch: confidence < MATCH_WARN_BELOW,
+    imdbTitle: titleInfo.title,
+    imdbYear: titleInfo.year || null,
+  };
+}
+
+// Structured JSON first; the tag-stripping block scraper only when that yields nothing.
+// parseStrategy records which one produced the ratios: next-data, markup or text-window.
+function parseImdbTechnicalPage(html) {
+  const structured = parseStructuredTechSpecs(extractNextData(html));
+  if (structured && structured.entries.length > 0) {
+    return {
+      entries: structured.entries,
+      techSpecs:
+        structured.techSpecs.length > 0
+          ? structured.techSpecs
+          : parseTechSpecsFromImdb(html),
+      parseStrategy: "next-data",
+    };
+  }
+
+  const { entries, strategy } = parseAllAspectRatiosFromImdb(html);
+  return {
+    entries,
+    techSpecs: parseTechSpecsFromImdb(html),
+    parseStrategy: strategy,
+  };
+}
+
+// One line per ratio: "1.43:1 (IMAX (70mm), True IMAX) — IMAX version"
+function formatRatioEntry(entry, { withType = true } = {}) {
+  let text = entry.ratio;
+  if (withType && entry.typeLong) text += ` (${entry.typeLong})`;
+  if (entry.note) text += ` — ${entry.note}`;
+  return text;
+}
+
+function describeRatioEntries(entries) {
+  return entries.map((e) => {
+    const typeMap = mapRatioToType(e.ratio);
+    return {
+      ...e, // keeps reconciliation fields (confidence, sources)
+      note: e.note || null,
+      typeShort: typeMap.short,
+      typeLong: typeMap.long,
+    };
+  });
+}
+
+// Records cached before notes were kept only have allAspectRatios
+function ratioEntriesForRecord(record) {
+  if (!record) return [];
+  if (Array.isArray(record.ratios)) return record.ratios;
+  const list = record.allAspectRatios || [record.aspectRatio];
+  return describeRatioEntries(
+    list.filter(Boolean).map((ratio) => ({ ratio, note: null }))
+  );
+}
+
+// Delay before retrying a 429/503: the server's Retry-After (seconds or HTTP date)
+// if it sent one, else exponential backoff
+function retryDelayMs(res, attempt) {
+  const header = res.headers && res.headers.get("Retry-After");
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(header) - Date.now();
+    if (ms >= 0) return Math.min(ms, MAX_BACKOFF_MS);
+  }
+  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, MAX_BACKOFF_MS);
+}
+
+// fetch() through the host's queue: requests to one host go out one at a time, at least
+// `minIntervalMs` apart across all callers, and 429/503 answers are retried after a backoff
+// that holds back the whole host. Resolves with the last response once retries run out;
+// rejects with code "timeout" when an attempt gets no answer within `timeoutMs`.
+// `beforeSend` runs just before each attempt goes out; if it throws, the request is
+// dropped and rejects with that error.
+function scheduledFetch(
+  url,
+  init,
+  { minIntervalMs = 0, timeoutMs = REQUEST_TIMEOUT_MS, beforeSend = null } = {}
+) {
+  const host = new URL(url).host;
+  if (!HOST_QUEUES.has(host)) {
+    HOST_QUEUES.set(host, { jobs: [], running: false, nextAt: 0 });
+  }
+  return new Promise((resolve, reject) => {
+    HOST_QUEUES.get(host).jobs.push({
+      url,
+      init,
+      minIntervalMs,
+      timeoutMs,
+      beforeSend,
+      attempt: 0,
+      resolve,
+      reject,
+    });
+    runHostQueue(host);
+  });
+}
+
+async function runHostQueue(host) {
+  const queue = HOST_QUEUES.get(host);
+  if (queue.running) return;
+  queue.running = true;
+  try {
+    while (queue.jobs.length > 0) {
+      const job = queue.jobs[0];
+      const wait = queue.nextAt - Date.now();
+      if (wait > 0) {
+        console.log(`[LB-AR BG] ${host}: waiting ${wait}ms before request`);
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      if (job.beforeSend) {
+        try {
+          job.beforeSend();
+        } catch (err) {
+          queue.jobs.shift();
+          job.reject(err);
+          continue;
+        }
+      }
+      queue.nextAt = Date.now() + job.minIntervalMs;
+
+      // A hung connection would otherwise hold up every later request to this host
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), job.timeoutMs);
+      let res;
+      try {
+        res = await fetch(job.url, { ...job.init, signal: controller.signal });
+      } catch (err) {
+        queue.jobs.shift();
+        job.reject(
+          controller.signal.aborted
+            ? lookupError(
+                `${host} did not answer within ${job.timeoutMs / 1000}s`,
+                null,
+                "timeout"
+              )
+            : err
+        );
+        continue;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (
+        (res.status === 429 || res.status === 503) &&
+        job.attempt < MAX_RETRIES
+      ) {
+        const delay = retryDelayMs(res, job.attempt);
+        job.attempt++;
+        // Release the connection; the body of a throttled answer is never read
+        if (res.body) res.body.cancel().catch(() => {});
+        console.warn(
+          `[LB-AR BG] ${host} answered ${res.status}, retry ${job.attempt}/${MAX_RETRIES} in ${delay}ms`
+        );
+        queue.nextAt = Math.max(queue.nextAt, Date.now() + delay);
+        continue; // job stays at the head of the queue
+      }
+
+      queue.jobs.shift();
+      job.resolve(res);
+    }
+  } finally {
+    queue.running = false;
+  }
+}
+
+// What is left of the IMDb request budget, for the popup and before each request
+function imdbBudget() {
+  const now = Date.now();
+  IMDB_REQUEST_LOG = IMDB_REQUEST_LOG.filter((t) => now - t < DAY_MS);
+  const lastHour = IMDB_REQUEST_LOG.filter((t) => now - t < HOUR_MS);
+  const hourlyLeft = Math.max(0, SETTINGS.hourlyRequestCap - lastHour.length);
+  const dailyLeft = Math.max(
+    0,
+    SETTINGS.dailyRequestCap - IMDB_REQUEST_LOG.length
+  );
+
+  // When the oldest request that counts against a spent cap drops out of its window
+  let resetsAt = null;
+  if (dailyLeft === 0) {
+    resetsAt =
+      IMDB_REQUEST_LOG[IMDB_REQUEST_LOG.length - SETTINGS.dailyRequestCap] +
+      DAY_MS;
+  } else if (hourlyLeft === 0) {
+    resetsAt = lastHour[lastHour.length - SETTINGS.hourlyRequestCap] + HOUR_MS;
+  }
+  return {
+    hourlyLeft,
+    dailyLeft,
+    hourlyCap: SETTINGS.hourlyRequestCap,
+    dailyCap: SETTINGS.dailyRequestCap,
+    exhausted: hourlyLeft === 0 || dailyLeft === 0,
+    resetsAt,
+  };
+}
+
+// Count one IMDb request against the budget; false (and nothing counted) when it's spent
+function consumeImdbBudget() {
+  if (imdbBudget().exhausted) return false;
+  IMDB_REQUEST_LOG.push(Date.now());
+  // Not awaited: a failed write is logged by setStored and the in-memory log still counts
+  setStored("imdbRequestLog", IMDB_REQUEST_LOG);
+  return true;
+}
+
+function budgetExhaustedError() {
+  const { resetsAt } = imdbBudget();
+  const err = new Error(
+    `IMDb request budget exhausted until ${new Date(
+      resetsAt
+    ).toLocaleTimeString()}`
+  );
+  err.code = "budget-exhausted";
+  return err;
+}
+
+// scheduledFetch's beforeSend for IMDb: only requests that actually go out (retries
+// included) are counted, not ones that wait in the queue and then time out
+function spendImdbBudget() {
+  if (!consumeImdbBudget()) throw budgetExhaustedError();
+  STATUS.imdbRequests++;
+}
+
+// Requests waiting in (or being sent by) any host queue, for the popup
+function requestQueueDepth() {
+  let depth = 0;
+  HOST_QUEUES.forEach((queue) => {
+    depth += queue.jobs.length;
+  });
+  return depth;
+}
+
+// IMDb provider: fetch and parse the /technical/ page.
+// Returns { entries, techSpecs, parseStrategy, sourceUrl }; entries is empty when the page lists none.
+async function fetchImdbAspectRatio(imdbId, { baseUrl } = {}) {
+  const url = `${
+    baseUrl || PROVIDERS.imdb.defaultBaseUrl
+  }/title/${imdbId}/technical/`;
+  // Fail fast when it's already spent; the request is counted when it is sent
+  if (imdbBudget().exhausted) throw budgetExhaustedError();
+  console.log(`[LB-AR BG] Fetching from IMDb: ${url}`);
+
+  // Rate limiting: the IMDb host queue keeps requests minRequestIntervalMs apart
+  const res = await scheduledFetch(
+    url,
+    {
+      method: "GET",
+      credentials: "omit",
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+      },
+    },
+    {
+      minIntervalMs: SETTINGS.minRequestIntervalMs,
+      beforeSend: spendImdbBudget,
+    }
+  );
+
+  if (!res.ok) {
+    throw httpError(`IMDb fetch failed: ${res.status}`, res.status);
+  }
+
+  const html = await res.text();
+  console.log(`[LB-AR BG] Received ${html.length} bytes from IMDb`);
+
+  const { entries, techSpecs, parseStrategy } = parseImdbTechnicalPage(html);
+  console.log(`[LB-AR BG] Parsed aspect ratios (${parseStrategy}):`, entries);
+  console.log(`[LB-AR BG] Parsed ${techSpecs.length} tech-spec fields`);
+
+  return {
+    entries,
+    techSpecs,
+    parseStrategy,
+    titleInfo: parseImdbTitleInfo(html),
+    snippet:
+      SETTINGS.keepParseSnippets && entries.length > 0
+        ? extractTechSpecsSnippet(html, entries)
+        : null,
+    sourceUrl: url,
+  };
+}
+
+// Wikidata provider: "aspect ratio" (P2061) statements on the item whose IMDb ID (P345) matches,
+// with "applies to part" (P518) qualifiers as notes
+async function fetchWikidataAspectRatio(imdbId, { baseUrl } = {}) {
+  // The ID goes into the query text as a string literal
+  if (!IMDB_ID_RE.test(imdbId)) throw new Error(`Invalid IMDb ID: ${imdbId}`);
+  const query = `SELECT ?ratioLabel ?partLabel WHERE {
+  ?film wdt:P345 "${imdbId}";
+        p:P2061 ?statement.
+  ?statement ps:P2061 ?ratio.
+  OPTIONAL { ?statement pq:P518 ?part. }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+}`;
+  const url = `${
+    baseUrl || PROVIDERS.wikidata.defaultBaseUrl
+  }/sparql?format=json&query=${encodeURIComponent(query)}`;
+  console.log(`[LB-AR BG] Querying Wikidata for ${imdbId}`);
+
+  const res = await scheduledFetch(url, {
+    method: "GET",
+    credentials: "omit",
+    headers: { Accept: "application/sparql-results+json" },
+  });
+  if (!res.ok) {
+    throw httpError(`Wikidata query failed: ${res.status}`, res.status);
+  }
+
+  const json = await res.json();
+  const bindings = (json && json.results && json.results.bindings) || [];
+  const entries = uniqueRatios(
+    bindings
+      .map((b) =>
+        ratioEntryFromText(
+          b.ratioLabel && b.ratioLabel.value,
+          b.partLabel && b.partLabel.value
+        )
+      )
+      .filter(Boolean)
+  );
+  return {
+    entries,
+    techSpecs: [],
+    parseStrategy: "wikidata-sparql",
+    sourceUrl: `https://www.wikidata.org/w/index.php?search=haswbstatement:P345=${imdbId}`,
+  };
+}
+
+// Custom provider: a user-configured JSON endpoint, "{imdbId}" in the URL is replaced.
+// Accepts { ratios: [{ ratio, note }] }, { aspectRatios: ["2.39:1", …] } or { aspectRatio }.
+async function fetchCustomAspectRatio(imdbId, { baseUrl } = {}) {
+  const template = baseUrl || SETTINGS.customEndpoint;
+  if (!template) throw new Error("No custom endpoint configured");
+  const url = template.includes("{imdbId}")
+    ? template.replace(/\{imdbId\}/g, encodeURIComponent(imdbId))
+    : `${template.replace(/\/$/, "")}/${encodeURIComponent(imdbId)}`;
+
+  const res = await scheduledFetch(url, { method: "GET", credentials: "omit" });
+  if (res.status === 404) {
+    return {
+      entries: [],
+      techSpecs: [],
+      parseStrategy: "json",
+      sourceUrl: url,
+    };
+  }
+  if (!res.ok) {
+    throw httpError(`Custom endpoint failed: ${res.status}`, res.status);
+  }
+
+  // Anything but an object (null, a bare string, …) counts as no result
+  const parsed = await res.json();
+  const json = parsed && typeof parsed === "object" ? parsed : {};
+  let raw = [];
+  if (Array.isArray(json.ratios)) {
+    raw = json.ratios.map((r) =>
+      typeof r === "string" ? { ratio: r } : r || {}
+    );
+  } else if (Array.isArray(json.aspectRatios)) {
+    raw = json.aspectRatios.map((r) => ({ ratio: r }));
+  } else if (json.aspectRatio) {
+    raw = [{ ratio: json.aspectRatio }];
+  }
+  const entries = uniqueRatios(
+    raw.map((r) => ratioEntryFromText(r.ratio, r.note)).filter(Boolean)
+  );
+  return {
+    entries,
+    techSpecs: [],
+    parseStrategy: "json",
+    sourceUrl: json.sourceUrl || url,
+  };
+}
+
+// ---- Data-source providers ----
+// Each provider answers for an IMDb ID with { entries, techSpecs, parseStrategy, sourceUrl }.
+// baseUrl can be overridden in settings (providerBaseUrls), e.g. to point at a local stub server.
+const PROVIDERS = {
+  imdb: {
+    id: "imdb",
+    name: "IMDb",
+    label: "IMDb technical specs",
+    defaultBaseUrl: "https://www.imdb.com",
+    fetch: fetchImdbAspectRatio,
+  },
+  wikidata: {
+    id: "wikidata",
+    name: "Wikidata",
+    label: "Wikidata (aspect ratio, P2061)",
+    defaultBaseUrl: "https://query.wikidata.org",
+    fetch: fetchWikidataAspectRatio,
+  },
+  custom: {
+    id: "custom",
+    name: "custom endpoint",
+    label: "Custom JSON endpoint",
+    defaultBaseUrl: null, // SETTINGS.customEndpoint
+    fetch: fetchCustomAspectRatio,
+  },
+};
+
+function enabledProviderIds() {
+  return SETTINGS.providerOrder.filter(
+    (id) =>
+      PROVIDERS[id] &&
+      SETTINGS.enabledProviders[id] &&
+      (id !== "custom" || SETTINGS.customEndpoint)
+  );
+}
+
+// Merge every answering source's ratios into clusters of one format: near-equal values,
+// or values mapRatioToType names alike. Each cluster's confidence is the share of
+// sources that list it.
+function reconcileSourceResults(answered) {
+  const clusters = [];
+  answered.forEach(({ provider, result }) => {
+    result.entries.forEach((entry) => {
+      const value = ratioToNumber(entry.ratio);
+      if (value == null) return;
+      // Sources round one format differently (2.35 vs 2.39 for Scope, 1.77 vs 1.78)
+      const family = mapRatioToType(entry.ratio).short;
+      let cluster = clusters.find(
+        (c) =>
+          Math.abs(c.value - value) <= RATIO_TOLERANCE ||
+          (family && c.family === family)
+      );
+      if (!cluster) {
+        // First (highest-priority) source to list a ratio names it
+        cluster = {
+          ratio: entry.ratio,
+          value,
+          family,
+          note: null,
+          sources: [],
+        };
+        clusters.push(cluster);
+      }
+      if (!cluster.note && entry.note) cluster.note = entry.note;
+      if (!cluster.sources.includes(provider)) cluster.sources.push(provider);
+    });
+  });
+
+  clusters.forEach((c) => {
+    c.confidence = Math.round((c.sources.length / answered.length) * 100) / 100;
+  });
+  return {
+    entries: clusters.map((c) => ({
+      ratio: c.ratio,
+      note: c.note,
+      confidence: c.confidence,
+      sources: c.sources,
+    })),
+    clusters: clusters.map(({ ratio, sources, confidence }) => ({
+      ratio,
+      sources,
+      confidence,
+    })),
+  };
+}
+
+// Ask providers in the user's order; fall back to the next when one errors or finds nothing.
+// With reconcileSources on, every enabled provider is asked and the answers are merged.
+// Returns a full record with source set to the first provider that answered.
+async function fetchFromProviders(
+  imdbId,
+  { primaryStrategy = SETTINGS.primaryStrategy } = {}
+) {
+  const ids = enabledProviderIds();
+  const reconcile = SETTINGS.reconcileSources && ids.length > 1;
+  const attempts = [];
+  const answered = [];
+  for (const id of ids) {
+    const provider = PROVIDERS[id];
+    try {
+      const result = await provider.fetch(imdbId, {
+        baseUrl: SETTINGS.providerBaseUrls[id] || undefined,
+      });
+      if (!result.entries || result.entries.length === 0) {
+        attempts.push({ provider: id, error: "not found" });
+        continue;
+      }
+      answered.push({ provider: id, result });
+      if (!reconcile) break;
+    } catch (err) {
+      console.warn(`[LB-AR BG] Provider ${id} failed:`, err);
+      attempts.push({
+        provider: id,
+        error: errorMessage(err),
+        status: err.status || null,
+        code: err.code || null,
+      });
+    }
+  }
+
+  if (answered.length > 0) {
+    const first = answered[0];
+    let entries = first.result.entries;
+    let reconciliation = null;
+    if (answered.length > 1) {
+      const merged = reconcileSourceResults(answered);
+      entries = merged.entries;
+      reconciliation = {
+        sources: answered.map((a) => a.provider),
+        clusters: merged.clusters,
+        conflict: false,
+      };
+    }
+
+    // Normalize and unique already handled; choose primary and compute display text
+    const built = buildRatioRecord(entries, primaryStrategy);
+    if (reconciliation) {
+      // Sources disagree when not all of them list the ratio we show as primary
+      const primary = entries.find((e) => e.ratio === built.aspectRatio);
+      reconciliation.conflict = !primary || primary.confidence < 1;
+    }
+    console.log(
+      `[LB-AR BG] ${PROVIDERS[first.provider].label}: primary ${
+        built.aspectRatio
+      } (${built.primaryReason})`
+    );
+    return {
+      ...built,
+      techSpecs: first.result.techSpecs || [],
+      parseStrategy: first.result.parseStrategy || null,
+      titleInfo:
+        (answered.find((a) => a.result.titleInfo) || first).result.titleInfo ||
+        null,
+      // Only IMDb pages can be re-parsed later (see migrateCache)
+      snippet:
+        (answered.find((a) => a.provider === "imdb") || { result: {} }).result
+          .snippet || null,
+      source: first.provider,
+      sourceUrl: first.result.sourceUrl,
+      providerAttempts: attempts,
+      reconciliation,
+    };
+  }
+
+  if (attempts.length === 0) throw new Error("No data sources enabled");
+  const reason = definitiveFailureReason(attempts);
+  if (attempts.every((a) => a.error === "not found")) {
+    throw lookupError(
+      attempts.length === 1
+        ? `Aspect ratio not found on ${PROVIDERS[attempts[0].provider].name}`
+        : "Aspect ratio not found",
+      reason
+    );
+  }
+  // Out of IMDb budget and no other source had it: say so rather than "failed"
+  const code = attempts.some((a) => a.code === "budget-exhausted")
+    ? "budget-exhausted"
+    : null;
+  if (attempts.length === 1) {
+    throw lookupError(attempts[0].error, reason, code);
+  }
+  throw lookupError(
+    `All sources failed: ${attempts
+      .map((a) => `${a.provider}: ${a.error}`)
+      .join("; ")}`,
+    reason,
+    code
+  );
+}
+
+// Reason code when every source definitely has nothing for the film (worth caching):
+// "not-found" (page parsed, no ratio listed) or "http-404"/"http-410".
+// Null for failures that may go away (network errors, 5xx, rate limiting).
+function definitiveFailureReason(attempts) {
+  const codes = attempts.map((a) => {
+    if (a.error === "not found") return "not-found";
+    if (a.status === 404 || a.status === 410) return `http-${a.status}`;
+    return null;
+  });
+  if (codes.length === 0 || codes.some((c) => !c)) return null;
+  return codes.includes("not-found") ? "not-found" : codes[0];
+}
+
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function lookupError(message, reason, code) {
+  const err = new Error(message);
+  err.reason = reason || null;
+  err.code = code || null;
+  return err;
+}
+
+function errorMessage(err) {
+  return String(err && err.message ? err.message : err);
+}
+
+// Lookup shared by the film page badge and grid chips: cached/fetched source data
+// with the user's override (if any) applied on top. If no source has the film but
+// the user entered their own ratios, those are used alone.
+async function lookupAspectRatio(
+  imdbId,
+  { isIncognito = false, force = false, tabId = null } = {}
+) {
+  // Overrides are explicit user data, so stored ones apply in incognito too
+  const override = await getOverride(imdbId, { isIncognito });
+  let record;
+  try {
+    record = await lookupSourceRecord(imdbId, { isIncognito, force, tabId });
+  } catch (err) {
+    if (!override || !override.ratios || override.ratios.length === 0) {
+      throw err;
+    }
+    console.log(`[LB-AR BG] ${imdbId}: no source data, using override only`);
+    record = { source: null, sourceUrl: null, techSpecs: [], fetchedAt: null };
+  }
+  return applyOverride(record, override, SETTINGS.primaryStrategy);
+}
+
+// Apply a just-saved override without a network lookup: on the cached record, or the one
+// a private window fetched this session. Like a lookup, an override with ratios of its
+// own stands alone when neither is there.
+async function recordWithOverride(
+  imdbId,
+  override,
+  { isIncognito = false } = {}
+) {
+  const known = isIncognito
+    ? INCOGNITO_RECORDS.get(imdbId)
+    : await getCached(imdbId);
+  let record;
+  if (known && !known.negative) {
+    record = applyPrimaryStrategy(
+      { ...known, ratios: ratioEntriesForRecord(known) },
+      SETTINGS.primaryStrategy
+    );
+  } else if (override && override.ratios && override.ratios.length > 0) {
+    record = { source: null, sourceUrl: null, techSpecs: [], fetchedAt: null };
+  } else {
+    throw lookupError(
+      "Aspect ratio not found; reload the page to look the film up again",
+      known ? known.reason : null
+    );
+  }
+  return applyOverride(record, override, SETTINGS.primaryStrategy);
+}
+
+// Keep the Letterboxd title and the latest title/year check with the cached record
+// (the cache manager lists films by title)
+async function annotateCached(imdbId, { filmTitle, match }) {
+  const cached = await getCached(imdbId);
+  if (!cached) return;
+  const next = { ...cached };
+  if (filmTitle) next.filmTitle = filmTitle;
+  if (match) next.match = match;
+  if (
+    next.filmTitle === cached.filmTitle &&
+    (next.match && next.match.confidence) ===
+      (cached.match && cached.match.confidence)
+  ) {
+    return;
+  }
+  await setCached(imdbId, next);
+}
+
+function isNegativeFresh(record) {
+  return (
+    !!record.fetchedAt && Date.now() - record.fetchedAt < NEGATIVE_CACHE_TTL_MS
+  );
+}
+
+// Cache-first unless `force`. Incognito lookups never read from or write to persistent storage.
+// Expired records are served as-is (stale: true) while a background fetch refreshes them;
+// `tabId` is told about the new value if it changes.
+async function lookupSourceRecord(
+  imdbId,
+  { isIncognito = false, force = false, tabId = null } = {}
+) {
+  STATUS.totalFetches++;
+
+  const cached = isIncognito ? null : await getCached(imdbId);
+  if (!force && cached && cached.fetchedAt) {
+    if (cached.negative) {
+      if (isNegativeFresh(cached)) {
+        STATUS.cacheHits++;
+        throw lookupError(
+          cached.error || "Aspect ratio not found",
+          cached.reason
+        );
+      }
+    } else {
+      STATUS.cacheHits++;
+      touchCached(imdbId, cached);
+      const record = applyPrimaryStrategy(
+        { ...cached, ratios: ratioEntriesForRecord(cached) },
+        SETTINGS.primaryStrategy
+      );
+      if (Date.now() - cached.fetchedAt < CACHE_TTL_MS) return record;
+      revalidateInBackground(imdbId, tabId);
+      STATUS.staleServed++;
+      return { ...record, stale: true };
+    }
+  }
+
+  return fetchAndCacheOnce(imdbId, cached, { isIncognito });
+}
+
+// Coalesce concurrent fetches of one film (two tabs, a grid and a film page, …)
+function fetchAndCacheOnce(imdbId, cached, { isIncognito = false } = {}) {
+  const key = `${isIncognito ? "private" : "normal"}:${imdbId}`;
+  if (IN_FLIGHT.has(key)) {
+    console.log(`[LB-AR BG] ${imdbId}: joining in-flight lookup`);
+    return IN_FLIGHT.get(key);
+  }
+  const promise = fetchAndCache(imdbId, cached, { isIncognito }).finally(() =>
+    IN_FLIGHT.delete(key)
+  );
+  IN_FLIGHT.set(key, promise);
+  return promise;
+}
+
+async function fetchAndCache(imdbId, cached, { isIncognito = false } = {}) {
+  const filmTitle = (cached && cached.filmTitle) || null;
+  let data;
+  try {
+    data = await fetchFromProviders(imdbId, {
+      primaryStrategy: SETTINGS.primaryStrategy,
+    });
+  } catch (err) {
+    // Remember definite misses so obscure films don't hit IMDb on every visit
+    if (!isIncognito && err.reason && !(cached && !cached.negative)) {
+      await setCached(imdbId, {
+        negative: true,
+        reason: err.reason,
+        error: errorMessage(err),
+        filmTitle,
+        fetchedAt: Date.now(),
+      });
+    }
+    throw err;
+  }
+  const record = { ...data, filmTitle, fetchedAt: Date.now() };
+  if (isIncognito) INCOGNITO_RECORDS.set(imdbId, record);
+  else await setCached(imdbId, record);
+  return record;
+}
+
+// imdbId -> Set of tab IDs shown a stale record, to update when the refresh lands
+const REVALIDATING = new Map();
+
+function revalidateInBackground(imdbId, tabId) {
+  if (REVALIDATING.has(imdbId)) {
+    if (tabId != null) REVALIDATING.get(imdbId).add(tabId);
+    return;
+  }
+  const tabs = new Set(tabId != null ? [tabId] : []);
+  REVALIDATING.set(imdbId, tabs);
+  console.log(`[LB-AR BG] ${imdbId}: serving stale record, refreshing`);
+
+  (async () => {
+    const cached = await getCached(imdbId);
+    try {
+      const fresh = await fetchAndCacheOnce(imdbId, cached);
+      const changed =
+        !cached ||
+        cached.aspectRatio !== fresh.aspectRatio ||
+        (cached.displayText || "") !== (fresh.displayText || "");
+      if (changed) await notifyTabsOfUpdate(imdbId, fresh, tabs);
+    } catch (err) {
+      // Keep serving the stale record; the next visit tries again
+      console.warn(`[LB-AR BG] ${imdbId}: background refresh failed:`, err);
+    } finally {
+      REVALIDATING.delete(imdbId);
+    }
+  })();
+}
+
+// Push a new record to tabs showing the film (badge, icon and grid chips): those shown a
+// stale record, or every tab on the film after a forced refresh
+async function notifyTabsOfUpdate(
+  imdbId,
+  fresh,
+  tabIds,
+  { isIncognito = false } = {}
+) {
+  const record = applyOverride(
+    applyPrimaryStrategy(fresh, SETTINGS.primaryStrategy),
+    await getOverride(imdbId, { isIncognito }),
+    SETTINGS.primaryStrategy
+  );
+  if (!isIncognito) updateHistoryRatios(imdbId, record);
+  tabIds.forEach((tabId) => {
+    const previous = TAB_DATA.get(tabId);
+    const data = {
+      ...record,
+      match: previous && previous.imdbId === imdbId ? previous.match : null,
+    };
+    if (previous && previous.imdbId === imdbId) {
+      setTabData(tabId, imdbId, data, previous.filmTitle, previous.incognito);
+    }
+    chrome.tabs
+      .sendMessage(tabId, {
+        type: "aspectRatioUpdated",
+        imdbId,
+        data,
+        families: familiesForRecord(data),
+      })
+      .catch(() => {}); // tab closed or navigated away
+  });
+  if (STATUS.lastImdbId === imdbId) {
+    STATUS.lastAspectRatio = record.aspectRatio;
+    STATUS.lastRatios = ratioEntriesForRecord(record);
+    saveStatus();
+  }
+}
+
+// Film-page tabs showing this film, in normal or private windows (never mixed)
+function tabsShowingFilm(imdbId, isIncognito) {
+  const tabIds = [];
+  TAB_DATA.forEach((data, tabId) => {
+    if (data.imdbId === imdbId && !!data.incognito === !!isIncognito) {
+      tabIds.push(tabId);
+    }
+  });
+  return tabIds;
+}
+
+// --- Cache size limits ---
+
+// ar: entry count and local storage bytes as of the last cleanup plus writes since;
+// cleanup runs when either passes its cap. Rewrites of a record overcount, which only
+// brings the next cleanup forward.
+let CACHED_ENTRY_ESTIMATE = 0;
+let STORED_BYTES_ESTIMATE = null; // read on the first write after the worker wakes
+
+// Size of a stored item as storage.local counts it (key plus JSON value)
+function storedItemBytes(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+async function noteCacheWrite(key, record) {
+  CACHED_ENTRY_ESTIMATE++;
+  if (STORED_BYTES_ESTIMATE === null) {
+    STORED_BYTES_ESTIMATE = await storageBytesInUse();
+  } else {
+    STORED_BYTES_ESTIMATE += storedItemBytes(key, record);
+  }
+  if (
+    CACHED_ENTRY_ESTIMATE > MAX_CACHE_ENTRIES ||
+    STORED_BYTES_ESTIMATE > MAX_CACHE_BYTES
+  ) {
+    cleanupCache();
+  }
+}
+
+function lastUsedAt(record) {
+  return (record && (record.lastAccessedAt || record.fetchedAt)) || 0;
+}
+
+// Remove least recently used ar: records until at least `bytes` are freed
+async function evictLeastRecentlyUsed(bytes) {
+  const all = await getAllStored();
+  const keys = [];
+  let freed = 0;
+  Object.entries(all)
+    .filter(([key]) => key.startsWith("ar:"))
+    .sort(([, a], [, b]) => lastUsedAt(a) - lastUsedAt(b))
+    .forEach(([key, record]) => {
+      if (freed >= bytes) return;
+      keys.push(key);
+      freed += storedItemBytes(key, record);
+    });
+  if (keys.length > 0) {
+    console.log(
+      `[LB-AR BG] Evicting ${keys.length} least recently used records`
+    );
+    await removeStored(keys);
+  }
+  return keys.length;
+}
+
+// Drop what no lookup will use again: expired "not found" records, expired records
+// unused for STALE_RETENTION_MS, expired slug/TMDB mappings. Then enforce MAX_CACHE_ENTRIES
+// and MAX_CACHE_BYTES.
+// Overrides (ov:) are the user's own data and never touched.
+let cleanupRunning = null;
+
+function cleanupCache() {
+  if (!cleanupRunning) {
+    cleanupRunning = runCacheCleanup().finally(() => {
+      cleanupRunning = null;
+    });
+  }
+  return cleanupRunning;
+}
+
+async function runCacheCleanup() {
+  const now = Date.now();
+  const all = await getAllStored();
+  const expired = [];
+  const kept = [];
+  Object.entries(all).forEach(([key, record]) => {
+    const fetchedAt = (record && record.fetchedAt) || 0;
+    if (key.startsWith("ar:")) {
+      const dead = record.negative
+        ? !isNegativeFresh(record)
+        : now - fetchedAt >= CACHE_TTL_MS &&
+          now - lastUsedAt(record) >= STALE_RETENTION_MS;
+      if (dead) expired.push(key);
+      else kept.push([key, record]);
+    } else if (key.startsWith("lb:") && now - fetchedAt >= SLUG_CACHE_TTL_MS) {
+      expired.push(key);
+    } else if (
+      key.startsWith("tmdb:") &&
+      now - fetchedAt >= TMDB_CACHE_TTL_MS
+    ) {
+      expired.push(key);
+    }
+  });
+
+  kept.sort(([, a], [, b]) => lastUsedAt(a) - lastUsedAt(b));
+  const overflow = kept
+    .slice(0, Math.max(0, kept.length - MAX_CACHE_ENTRIES))
+    .map(([key]) => key);
+  const remove = expired.concat(overflow);
+  if (remove.length > 0) await removeStored(remove);
+
+  // Then the oldest of the rest until the store is back under its byte budget
+  let bytes = await storageBytesInUse();
+  const remaining = kept.slice(overflow.length);
+  const oversize = [];
+  while (bytes > MAX_CACHE_BYTES && oversize.length < remaining.length) {
+    const [key, record] = remaining[oversize.length];
+    oversize.push(key);
+    bytes -= storedItemBytes(key, record);
+  }
+  if (oversize.length > 0) {
+    await removeStored(oversize);
+    overflow.push(...oversize);
+  }
+  CACHED_ENTRY_ESTIMATE = kept.length - overflow.length;
+  STORED_BYTES_ESTIMATE = bytes;
+  console.log(
+    `[LB-AR BG] Cache cleanup: ${expired.length} expired, ${overflow.length} evicted, ${CACHED_ENTRY_ESTIMATE} kept`
+  );
+  return { expired: expired.length, evicted: overflow.length };
+}
+
+// --- Schema migration ---
+
+// Re-derive a record written by an older version with today's parser and type names.
+// IMDb records with a snippet are re-parsed from it; the rest are rebuilt from their
+// stored ratio list. Records merged from several sources keep their merged list.
+function rederiveRecord(record) {
+  const migrated = { ...record, schemaVersion: CACHE_SCHEMA_VERSION };
+  if (record.negative) return migrated;
+
+  let entries = ratioEntriesForRecord(record).map((e) => ({ ...e }));
+  if (record.snippet && !record.reconciliation) {
+    const parsed = parseImdbTechnicalPage(record.snippet);
+    if (parsed.entries.length > 0) {
+      entries = parsed.entries;
+      migrated.techSpecs = parsed.techSpecs;
+      migrated.parseStrategy = parsed.parseStrategy;
+      migrated.titleInfo =
+        parseImdbTitleInfo(record.snippet) || record.titleInfo || null;
+    }
+  }
+  if (entries.length === 0) return migrated;
+
+  // primaryStrategy: null makes applyPrimaryStrategy rebuild even for the same strategy
+  return applyPrimaryStrategy(
+    { ...migrated, ratios: entries, primaryStrategy: null },
+    record.primaryStrategy || SETTINGS.primaryStrategy
+  );
+}
+
+async function migrateCache() {
+  const all = await getAllStored();
+  const updates = {};
+  Object.entries(all).forEach(([key, record]) => {
+    if (!key.startsWith("ar:") || !record) return;
+    if ((record.schemaVersion || 1) >= CACHE_SCHEMA_VERSION) return;
+    try {
+      updates[key] = rederiveRecord(record);
+    } catch (err) {
+      console.warn(`[LB-AR BG] Could not migrate ${key}:`, err);
+    }
+  });
+  const count = Object.keys(updates).length;
+  if (count > 0 && !(await setStoredItems(updates))) {
+    console.warn("[LB-AR BG] Migration write failed, retrying at next start");
+    await setStored(MIGRATION_PENDING_KEY, CACHE_SCHEMA_VERSION);
+    return 0;
+  }
+  await removeStored(MIGRATION_PENDING_KEY);
+  if (count === 0) return 0;
+  console.log(
+    `[LB-AR BG] Migrated ${count} cached records to schema ${CACHE_SCHEMA_VERSION}`
+  );
+  return count;
+}
+
+// Browser start and the periodic alarm: retry a migration that failed, then clean up
+async function maintainCache() {
+  if (await getStored(MIGRATION_PENDING_KEY)) await migrateCache();
+  return cleanupCache();
+}
+
+// None of this runs when the service worker merely wakes up: each pass reads the
+// whole store. Migration runs once per install or update.
+chrome.runtime.onInstalled.addListener(() =>
+  migrateCache().then(() => cleanupCache())
+);
+chrome.runtime.onStartup.addListener(() => maintainCache());
+// Re-creating an existing alarm would restart its period, so only add it when missing
+chrome.alarms.get(CACHE_CLEANUP_ALARM, (alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(CACHE_CLEANUP_ALARM, { periodInMinutes: 6 * 60 });
+  }
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CACHE_CLEANUP_ALARM) maintainCache();
+});
+
+// One row of the cache manager
+function summarizeCacheEntry(imdbId, record) {
+  return {
+    imdbId,
+    title:
+      record.filmTitle || (record.titleInfo && record.titleInfo.title) || null,
+    year: (record.titleInfo && record.titleInfo.year) || null,
+    aspectRatio: record.aspectRatio || null,
+    ratios: ratioEntriesForRecord(record).map((e) => e.ratio),
+    source: record.source || null,
+    negative: !!record.negative,
+    reason: record.reason || null,
+    fetchedAt: record.fetchedAt || null,
+    expired: record.negative
+      ? !isNegativeFresh(record)
+      : !record.fetchedAt || Date.now() - record.fetchedAt >= CACHE_TTL_MS,
+  };
+}
+
+async function listCacheEntries() {
+  const all = await getAllStored();
+  const entries = Object.entries(all)
+    .filter(([key]) => key.startsWith("ar:"))
+    .map(([key, record]) => summarizeCacheEntry(key.slice(3), record || {}))
+    .sort((a, b) => (b.fetchedAt || 0) - (a.fetchedAt || 0));
+  return {
+    entries,
+    bytesInUse: await storageBytesInUse(),
+    quotaBytes: chrome.storage.local.QUOTA_BYTES || null,
+    maxEntries: MAX_CACHE_ENTRIES,
+    maxBytes: MAX_CACHE_BYTES,
+  };
+}
+
+// Remove cached ratio records fetched before the cutoff (all of them for 0)
+async function purgeCacheEntries(olderThanDays) {
+  const cutoff = Date.now() - Math.max(0, olderThanDays) * 24 * 60 * 60 * 1000;
+  const all = await getAllStored();
+  const keys = Object.entries(all)
+    .filter(
+      ([key, record]) =>
+        key.startsWith("ar:") &&
+        (olderThanDays === 0 || !record || (record.fetchedAt || 0) < cutoff)
+    )
+    .map(([key]) => key);
+  if (keys.length > 0) await removeStored(keys);
+  return keys.length;
+}
+
+// --- History ---
+
+function historyRatios(record) {
+  return ratioEntriesForRecord(record).map((e) => e.ratio);
+}
+
+function saveHistory() {
+  return setStored("history", HISTORY);
+}
+
+// Move the film to the top of the history (callers skip incognito tabs)
+function recordHistory(imdbId, record, { slug, filmTitle, year } = {}) {
+  const previous = HISTORY.find((e) => e.imdbId === imdbId);
+  HISTORY = [
+    {
+      imdbId,
+      slug: slug || (previous && previous.slug) || null,
+      title:
+        filmTitle ||
+        (record.titleInfo && record.titleInfo.title) ||
+        (previous && previous.title) ||
+        null,
+      // Release year, for the statistics' decade chart
+      year:
+        Number(year) ||
+        (record.titleInfo && record.titleInfo.year) ||
+        (previous && previous.year) ||
+        null,
+      aspectRatio: record.aspectRatio || null,
+      ratios: historyRatios(record),
+      viewedAt: Date.now(),
+    },
+    ...HISTORY.filter((e) => e !== previous),
+  ].slice(0, MAX_HISTORY_ENTRIES);
+  saveHistory();
+}
+
+// A refresh or override changed a film's ratios: fix its entry without reordering
+function updateHistoryRatios(imdbId, record) {
+  const entry = HISTORY.find((e) => e.imdbId === imdbId);
+  if (!entry) return;
+  entry.aspectRatio = record.aspectRatio || null;
+  entry.ratios = historyRatios(record);
+  saveHistory();
+}
+
+// --- Statistics ---
+
+const TOP_FORMATS = 10; // most common exact ratios listed on the dashboard
+
+// Dashboard figures from the cache and the history: one vote per film, by its
+// primary ratio (after the user's override), so a film seen twice counts once
+async function collectStats() {
+  const all = await getAllStored();
+  const strategy = SETTINGS.primaryStrategy;
+  const films = new Map(); // imdbId -> { aspectRatio, ratios, year, layout }
+  HISTORY.forEach((e) => {
+    if (e.aspectRatio) {
+      films.set(e.imdbId, {
+        aspectRatio: e.aspectRatio,
+        ratios: e.ratios || [e.aspectRatio],
+        year: e.year || null,
+        layout: null,
+      });
+    }
+  });
+
+  let cachedFilms = 0;
+  let notFound = 0;
+  let overrides = 0;
+  Object.entries(all).forEach(([key, value]) => {
+    if (key.startsWith("ov:")) overrides++;
+    if (!key.startsWith("ar:") || !value) return;
+    if (value.negative) {
+      notFound++;
+      return;
+    }
+    cachedFilms++;
+    const imdbId = key.slice(3);
+    const record = applyOverride(
+      applyPrimaryStrategy(
+        { ...value, ratios: ratioEntriesForRecord(value) },
+        strategy
+      ),
+      all[overrideKey(imdbId)],
+      strategy
+    );
+    if (!record.aspectRatio) return;
+    const viewed = films.get(imdbId);
+    films.set(imdbId, {
+      aspectRatio: record.aspectRatio,
+      ratios: ratioEntriesForRecord(record).map((e) => e.ratio),
+      year:
+        (value.titleInfo && value.titleInfo.year) ||
+        (value.match && value.match.imdbYear) ||
+        (viewed && viewed.year) ||
+        null,
+      layout: record.layout || null,
+    });
+  });
+
+  const families = new Map();
+  const decades = new Map(); // 1990 -> { total, families: { Scope: n } }
+  const formats = new Map();
+  let variableFilms = 0;
+  let multiFormatFilms = 0;
+  films.forEach((film) => {
+    const family = mapRatioToType(film.aspectRatio).short || "Other";
+    families.set(family, (families.get(family) || 0) + 1);
+    if (film.year) {
+      const decade = Math.floor(film.year / 10) * 10;
+      const bucket = decades.get(decade) || { decade, total: 0, families: {} };
+      bucket.total++;
+      bucket.families[family] = (bucket.families[family] || 0) + 1;
+      decades.set(decade, bucket);
+    }
+    new Set(film.ratios).forEach((ratio) => {
+      formats.set(ratio, (formats.get(ratio) || 0) + 1);
+    });
+    if (film.layout === "variable") variableFilms++;
+    if (film.layout === "multi-format") multiFormatFilms++;
+  });
+
+  return {
+    totalFilms: films.size,
+    families: [...families]
+      .map(([family, count]) => ({ family, count }))
+      .sort((a, b) => b.count - a.count),
+    decades: [...decades.values()].sort((a, b) => a.decade - b.decade),
+    formats: [...formats]
+      .map(([ratio, count]) => ({
+        ratio,
+        count,
+        family: mapRatioToType(ratio).short || "Other",
+      }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_FORMATS),
+    counters: {
+      cachedFilms,
+      notFound,
+      overrides,
+      viewedFilms: HISTORY.length,
+      variableFilms,
+      multiFormatFilms,
+      filmsWithoutYear: [...films.values()].filter((f) => !f.year).length,
+      imdbRequestsToday: IMDB_REQUEST_LOG.filter((t) => Date.now() - t < DAY_MS)
+        .length,
+      totalFetches: STATUS.totalFetches,
+      cacheHits: STATUS.cacheHits,
+      imdbRequests: STATUS.imdbRequests,
+      staleServed: STATUS.staleServed,
+      forcedRefreshes: STATUS.forcedRefreshes,
+      lookupErrors: STATUS.lookupErrors,
+    },
+  };
+}
+
+// --- Export / import ---
+
+const EXPORT_FORMAT = "filmratio-export";
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = [
+  "imdbId",
+  "title",
+  "primary",
+  "all",
+  "source",
+  "fetchedAt",
+];
+const IMDB_ID_RE = /^tt\d{5,10}$/;
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// "1.43:1 (IMAX version)" for the CSV "all" column, joined with " | "
+function formatRatioForCsv(entry) {
+  return entry.note ? `${entry.ratio} (${entry.note})` : entry.ratio;
+}
+
+async function exportData(format) {
+  const all = await getAllStored();
+  const records = {};
+  const overrides = {};
+  Object.entries(all).forEach(([key, value]) => {
+    if (key.startsWith("ar:") && value) {
+      const record = { ...value };
+      delete record.lastAccessedAt; // local bookkeeping only
+      records[key.slice(3)] = record;
+    } else if (key.startsWith("ov:") && value) {
+      overrides[key.slice(3)] = value;
+    }
+  });
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === "csv") {
+    const lines = [CSV_COLUMNS.join(",")];
+    Object.entries(records).forEach(([imdbId, record]) => {
+      if (record.negative) return;
+      lines.push(
+        [
+          imdbId,
+          record.filmTitle || (record.titleInfo && record.titleInfo.title),
+          record.aspectRatio,
+          ratioEntriesForRecord(record).map(formatRatioForCsv).join(" | "),
+          record.source,
+          record.fetchedAt ? new Date(record.fetchedAt).toISOString() : "",
+        ]
+          .map(csvField)
+          .join(",")
+      );
+    });
+    return {
+      content: lines.join("\r\n") + "\r\n",
+      filename: `filmratio-${stamp}.csv`,
+      count: lines.length - 1,
+    };
+  }
+
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    schemaVersion: CACHE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    records,
+    overrides,
+    history: HISTORY,
+  };
+  return {
+    content: JSON.stringify(data, null, 2),
+    filename: `filmratio-${stamp}.json`,
+    count: Object.keys(records).length,
+  };
+}
+
+// Rebuild an imported record from its ratio list with this version's parser, so
+// nothing derived (type names, display text, layout) is trusted from the file
+function sanitizeImportedRecord(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("not an object");
+  const fetchedAt = Number(raw.fetchedAt);
+  const base = {
+    source: typeof raw.source === "string" ? raw.source.slice(0, 40) : null,
+    sourceUrl: isHttpUrl(raw.sourceUrl) ? raw.sourceUrl : null,
+    filmTitle:
+      typeof raw.filmTitle === "string" ? raw.filmTitle.slice(0, 300) : null,
+    // Future dates would never expire; missing ones count as fetched now
+    fetchedAt:
+      fetchedAt > 0 && fetchedAt <= Date.now() ? fetchedAt : Date.now(),
+  };
+  if (raw.negative) {
+    return {
+      ...base,
+      negative: true,
+      reason: typeof raw.reason === "string" ? raw.reason : "not-found",
+      error:
+        typeof raw.error === "string" ? raw.error : "Aspect ratio not found",
+    };
+  }
+
+  const source = Array.isArray(raw.ratios)
+    ? raw.ratios
+    : (raw.allAspectRatios || [raw.aspectRatio]).map((ratio) => ({ ratio }));
+  const entries = uniqueRatios(
+    source
+      .map((e) =>
+        e && typeof e.ratio === "string"
+          ? ratioEntryFromText(
+              e.ratio,
+              typeof e.note === "string" ? e.note.slice(0, 300) : null
+            )
+          : null
+      )
+      .filter(Boolean)
+  );
+  if (entries.length === 0) throw new Error("no valid ratio");
+
+  const record = {
+    ...base,
+    ...buildRatioRecord(entries, SETTINGS.primaryStrategy),
+    techSpecs: Array.isArray(raw.techSpecs)
+      ? raw.techSpecs.filter(
+          (t) => t && typeof t.label === "string" && Array.isArray(t.values)
+        )
+      : [],
+    titleInfo:
+      raw.titleInfo && typeof raw.titleInfo.title === "string"
+        ? {
+            title: raw.titleInfo.title,
+            originalTitle: raw.titleInfo.originalTitle || null,
+            year: Number(raw.titleInfo.year) || null,
+          }
+        : null,
+    snippet:
+      typeof raw.snippet === "string" && raw.snippet.length <= MAX_SNIPPET_CHARS
+        ? raw.snippet
+        : null,
+  };
+  const primary = raw.aspectRatio && ratioEntryFromText(raw.aspectRatio);
+  if (primary && entries.some((e) => e.ratio === primary.ratio)) {
+    // Keep the exporter's primary (it may come from a different strategy)
+    record.aspectRatio = primary.ratio;
+    const typeMap = mapRatioToType(primary.ratio);
+    record.mappedTypeShort = typeMap.short;
+    record.mappedTypeLong = typeMap.long;
+  }
+  return record;
+}
+
+function sanitizeImportedOverride(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("not an object");
+  const override = buildOverride({
+    ratiosText: (Array.isArray(raw.ratios) ? raw.ratios : [])
+      .map((e) => (e && e.note ? `${e.ratio} (${e.note})` : e && e.ratio))
+      .filter(Boolean)
+      .join(", "),
+    primary: raw.primary,
+    note: raw.note,
+  });
+  if (!override) throw new Error("empty override");
+  const updatedAt = Number(raw.updatedAt);
+  if (updatedAt > 0 && updatedAt <= Date.now()) override.updatedAt = updatedAt;
+  return override;
+}
+
+// { records: { imdbId: raw }, overrides: { imdbId: raw } } from either file format
+function parseImportContent(content) {
+  const text = String(content || "").replace(/^\uFEFF/, "");
+  if (/^\s*[{[]/.test(text)) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== EXPORT_FORMAT) {
+      throw new Error("Not a FilmRatio export file");
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error("Export file is from a newer version of FilmRatio");
+    }
+    return {
+      records: data.records || {},
+      overrides: data.overrides || {},
+      history: Array.isArray(data.history) ? data.history : null,
+    };
+  }
+
+  const rows = parseCsv(text);
+  const header = (rows.shift() || []).map((h) => h.trim());
+  const column = (name) => header.indexOf(name);
+  if (column("imdbId") === -1 || column("all") === -1) {
+    throw new Error(`CSV needs the columns ${CSV_COLUMNS.join(",")}`);
+  }
+  const records = {};
+  rows.forEach((row) => {
+    const get = (name) => (column(name) === -1 ? "" : row[column(name)] || "");
+    const fetchedAt = Date.parse(get("fetchedAt"));
+    records[get("imdbId").trim()] = {
+      filmTitle: get("title").trim() || null,
+      aspectRatio: get("primary").trim() || null,
+      ratios: parseRatioInput(get("all")),
+      source: get("source").trim() || null,
+      fetchedAt: Number.isFinite(fetchedAt) ? fetchedAt : null,
+    };
+  });
+  return { records, overrides: {}, history: null };
+}
+
+function sanitizeHistoryEntry(raw) {
+  if (!raw || !IMDB_ID_RE.test(raw.imdbId)) throw new Error("invalid IMDb ID");
+  const viewedAt = Number(raw.viewedAt);
+  const primary = ratioEntryFromText(raw.aspectRatio);
+  return {
+    imdbId: raw.imdbId,
+    slug: /^[a-z0-9-]+$/i.test(raw.slug || "") ? raw.slug : null,
+    title: typeof raw.title === "string" ? raw.title.slice(0, 300) : null,
+    year: Number(raw.year) > 1800 ? Number(raw.year) : null,
+    aspectRatio: primary ? primary.ratio : null,
+    ratios: (Array.isArray(raw.ratios) ? raw.ratios : [])
+      .map((ratio) => ratioEntryFromText(ratio))
+      .filter(Boolean)
+      .map((e) => e.ratio),
+    viewedAt: viewedAt > 0 && viewedAt <= Date.now() ? viewedAt : Date.now(),
+  };
+}
+
+// Newest view of each film first, capped like the live history
+function mergeHistory(a, b) {
+  const byFilm = new Map();
+  a.concat(b).forEach((e) => {
+    const current = byFilm.get(e.imdbId);
+    if (!current || e.viewedAt > current.viewedAt) byFilm.set(e.imdbId, e);
+  });
+  return [...byFilm.values()]
+    .sort((x, y) => y.viewedAt - x.viewedAt)
+    .slice(0, MAX_HISTORY_ENTRIES);
+}
+
+// Writes validated records without any network request. "merge" keeps whichever copy
+// of a film is newer; "replace" clears cached records and overrides first (and the history,
+// when the file has one).
+async function importData(content, mode) {
+  const { records, overrides, history } = parseImportContent(content);
+  const updates = {};
+  const errors = [];
+  let skipped = 0;
+  const existing = mode === "replace" ? {} : await getAllStored();
+
+  Object.entries(records).forEach(([imdbId, raw]) => {
+    try {
+      if (!IMDB_ID_RE.test(imdbId)) throw new Error("invalid IMDb ID");
+      const record = sanitizeImportedRecord(raw);
+      const current = existing[cacheKey(imdbId)];
+      if (current && (current.fetchedAt || 0) >= record.fetchedAt) {
+        skipped++;
+        return;
+      }
+      updates[cacheKey(imdbId)] = {
+        ...record,
+        schemaVersion: CACHE_SCHEMA_VERSION,
+        lastAccessedAt: Date.now(),
+      };
+    } catch (err) {
+      errors.push(`${imdbId}: ${errorMessage(err)}`);
+    }
+  });
+  Object.entries(overrides).forEach(([imdbId, raw]) => {
+    try {
+      if (!IMDB_ID_RE.test(imdbId)) throw new Error("invalid IMDb ID");
+      const override = sanitizeImportedOverride(raw);
+      const current = existing[overrideKey(imdbId)];
+      if (current && (current.updatedAt || 0) >= override.updatedAt) {
+        skipped++;
+        return;
+      }
+      updates[overrideKey(imdbId)] = override;
+    } catch (err) {
+      errors.push(`override ${imdbId}: ${errorMessage(err)}`);
+    }
+  });
+
+  const historyEntries = [];
+  (history || []).forEach((raw) => {
+    try {
+      historyEntries.push(sanitizeHistoryEntry(raw));
+    } catch (err) {
+      errors.push(`history ${raw && raw.imdbId}: ${errorMessage(err)}`);
+    }
+  });
+
+  // A file with nothing usable must not clear anything, least of all in replace mode
+  if (
+    Object.keys(updates).length + skipped === 0 &&
+    (errors.length > 0 || historyEntries.length === 0)
+  ) {
+    throw new Error(
+      errors.length > 0
+        ? `Nothing in the file could be imported (${errors[0]})`
+        : "The file has no records to import"
+    );
+  }
+
+  // Write the new set before removing the old one, so a failed write loses nothing
+  const written = await setStoredItems(updates);
+  if (!written)
+    throw new Error("Could not store the imported data (storage full?)");
+  if (mode === "replace") {
+    const all = await getAllStored();
+    const old = Object.keys(all).filter(
+      (key) => (key.startsWith("ar:") || key.startsWith("ov:")) && !updates[key]
+    );
+    if (old.length > 0) await removeStored(old);
+  }
+  cleanupCache(); // keep within MAX_CACHE_ENTRIES and MAX_CACHE_BYTES
+  if (history) {
+    HISTORY = mergeHistory(mode === "replace" ? [] : HISTORY, historyEntries);
+    saveHistory();
+  }
+
+  return {
+    imported: Object.keys(updates).length,
+    historyImported: historyEntries.length,
+    skipped,
+    errors: errors.slice(0, 20),
+    errorCount: errors.length,
+  };
+}
+
+// Users often type "2.39" for "2.39:1"
+function userRatioEntry(text, note) {
+  const value = String(text || "").replace(
+    /^(\s*\d+(?:[.,]\d+)?)(?!\s*[:\d.,])/,
+    "$1:1"
+  );
+  return ratioEntryFromText(value, note);
+}
+
+// Free-form ratio list typed by the user: "1.66:1 (35mm print), 1.85:1"
+function parseRatioInput(text) {
+  const parts = [];
+  let current = "";
+  let depth = 0;
+  for (const c of String(text || "")) {
+    if (c === "(") depth++;
+    else if (c === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && /[,;\n•|]/.test(c)) {
+      if (current.trim()) parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += c;
+  }
+  if (current.trim()) parts.push(current.trim());
+
+  return uniqueRatios(
+    parts
+      .map((p) => {
+        const note = p.match(/\(([^)]+)\)/);
+        return userRatioEntry(p, note ? note[1].trim() : null);
+      })
+      .filter(Boolean)
+  );
+}
+
+// { ratios: [{ ratio, note }], primary, note, updatedAt } -> validated override, or null if empty
+function buildOverride(input) {
+  const ratios = parseRatioInput(input.ratiosText);
+  const primaryEntry = input.primary ? userRatioEntry(input.primary) : null;
+  const note =
+    String(input.note || "")
+      .trim()
+      .slice(0, 500) || null;
+  if (ratios.length === 0 && !primaryEntry && !note) return null;
+  return {
+    ratios,
+    primary: primaryEntry ? primaryEntry.ratio : null,
+    note,
+    updatedAt: Date.now(),
+  };
+}
+
+// Layer an override over a source record: the user's ratios replace the source list,
+// a chosen primary wins over the strategy, and the note travels with the record
+function applyOverride(record, override, strategy) {
+  if (!override) return record;
+
+  let entries =
+    override.ratios && override.ratios.length > 0
+      ? override.ratios
+      : ratioEntriesForRecord(record);
+  if (override.primary && !entries.some((e) => e.ratio === override.primary)) {
+    entries = [{ ratio: override.primary, note: null }, ...entries];
+  }
+  if (entries.length === 0) {
+    return { ...record, overridden: true, override };
+  }
+
+  const built = buildRatioRecord(entries, strategy);
+  if (override.primary) {
+    const typeMap = mapRatioToType(override.primary);
+    built.aspectRatio = override.primary;
+    built.mappedTypeShort = typeMap.short;
+    built.mappedTypeLong = typeMap.long;
+    built.primaryReason = "your override";
+  }
+  return { ...record, ...built, overridden: true, override };
+}
+
+// Grid tiles only carry a Letterboxd slug, so read the IMDb link off the film page.
+// The slug -> IMDb ID mapping is cached next to the ar: records.
+async function resolveImdbIdForSlug(slug, { isIncognito = false } = {}) {
+  if (!/^[a-z0-9-]+$/i.test(slug))
+    throw new Error(`Invalid film slug: ${slug}`);
+
+  const key = slugCacheKey(slug);
+  if (!isIncognito) {
+    const cached = await getStored(key);
+    if (
+      cached &&
+      cached.imdbId &&
+      Date.now() - cached.fetchedAt < SLUG_CACHE_TTL_MS
+    ) {
+      return cached.imdbId;
+    }
+  }
+
+  const url = `https://letterboxd.com/film/${slug}/`;
+  console.log(`[LB-AR BG] Resolving slug from Letterboxd: ${url}`);
+  const res = await scheduledFetch(url, { method: "GET", credentials: "omit" });
+  if (!res.ok) {
+    throw new Error(`Letterboxd fetch failed: ${res.status}`);
+  }
+  const html = await res.text();
+  const m = html.match(/imdb\.com\/title\/(tt\d{5,10})/);
+  let imdbId = m && m[1];
+  if (!imdbId) {
+    const tmdb = html.match(/themoviedb\.org\/(movie|tv)\/(\d+)/);
+    if (!tmdb) throw new Error("No IMDb link on Letterboxd page");
+    imdbId = await resolveImdbIdForTmdb(tmdb[1], tmdb[2], { isIncognito });
+  }
+
+  if (!isIncognito) {
+    await setStored(key, { imdbId, fetchedAt: Date.now() });
+  }
+  return imdbId;
+}
+
+// Popup lookup box: "tt0468569", an IMDb title URL or a Letterboxd film URL
+// (also /<user>/film/<slug>/ diary links) -> { imdbId } or { slug }
+function parseFilmQuery(query) {
+  const text = String(query || "").trim();
+  const letterboxd = text.match(
+    /letterboxd\.com\/(?:[\w-]+\/)?film\/([a-z0-9-]+)/i
+  );
+  if (letterboxd) return { slug: letterboxd[1].toLowerCase() };
+  const imdb =
+    text.match(/^(tt\d{5,10})$/i) ||
+    text.match(/imdb\.com\/(?:[a-z-]+\/)?title\/(tt\d{5,10})/i);
+  if (imdb) return { imdbId: imdb[1].toLowerCase() };
+  throw new Error(
+    "Enter an IMDb ID (tt…), an IMDb link or a Letterboxd film link"
+  );
+}
+
+// Wikidata properties holding TMDB IDs, by Letterboxd's TMDB link type
+const TMDB_WIKIDATA_PROPERTIES = {
+  movie: "P4947", // TMDB movie ID
+  tv: "P4983", // TMDB TV series ID
+};
+
+// Letterboxd pages without an IMDb link usually still link TMDB; Wikidata maps
+// TMDB IDs to IMDb IDs (P345). Misses are cached too so each ID is asked about once.
+async function resolveImdbIdForTmdb(
+  tmdbType,
+  tmdbId,
+  { isIncognito = false } = {}
+) {
+  const property = TMDB_WIKIDATA_PROPERTIES[tmdbType];
+  if (!property || !/^\d+$/.test(String(tmdbId))) {
+    throw new Error(`Invalid TMDB ID: ${tmdbType}/${tmdbId}`);
+  }
+
+  const key = tmdbCacheKey(tmdbType, tmdbId);
+  if (!isIncognito) {
+    const cached = await getStored(key);
+    if (cached && Date.now() - cached.fetchedAt < TMDB_CACHE_TTL_MS) {
+      if (!cached.imdbId) throw new Error("No IMDb ID known for TMDB film");
+      return cached.imdbId;
+    }
+  }
+
+  const query = `SELECT ?imdbId WHERE {
+  ?item wdt:${property} "${tmdbId}";
+        wdt:P345 ?imdbId.
+}`;
+  const url = `${
+    SETTINGS.providerBaseUrls.wikidata || PROVIDERS.wikidata.defaultBaseUrl
+  }/sparql?format=json&query=${encodeURIComponent(query)}`;
+  console.log(`[LB-AR BG] Resolving TMDB ${tmdbType}/${tmdbId} via Wikidata`);
+
+  const res = await scheduledFetch(url, {
+    method: "GET",
+    credentials: "omit",
+    headers: { Accept: "application/sparql-results+json" },
+  });
+  if (!res.ok) {
+    throw new Error(`Wikidata query failed: ${res.status}`);
+  }
+  const json = await res.json();
+  const bindings = (json && json.results && json.results.bindings) || [];
+  const match = bindings
+    .map((b) => b.imdbId && b.imdbId.value)
+    .find((v) => /^tt\d{5,10}$/.test(v || ""));
+
+  if (!isIncognito) {
+    await setStored(key, { imdbId: match || null, fetchedAt: Date.now() });
+  }
+  if (!match) throw new Error("No IMDb ID known for TMDB film");
+  return match;
+}
+
+// What the popup shows for a film, from a (possibly overridden) lookup record
+function filmSummary(imdbId, record, filmTitle) {
+  return {
+    imdbId,
+    status: "success",
+    aspectRatio: record.aspectRatio,
+    displayText: record.displayText || record.aspectRatio,
+    mappedTypeShort: record.mappedTypeShort || null,
+    mappedTypeLong: record.mappedTypeLong || null,
+    ratios: ratioEntriesForRecord(record),
+    primaryReason: record.primaryReason || null,
+    layout: record.layout || "single",
+    layoutLabel: record.layoutLabel || null,
+    conflict:
+      record.reconciliation && record.reconciliation.conflict
+        ? record.reconciliation
+        : null,
+    overridden: !!record.overridden,
+    override: record.overridden ? record.override : null,
+    match: record.match || null,
+    source: record.source || null,
+    fetchedAt: record.fetchedAt || null,
+    stale: !!record.stale,
+    filmTitle: filmTitle || null,
+  };
+}
+
+function setTabData(tabId, imdbId, record, filmTitle, isIncognito) {
+  // For normal tabs, persist tab data; for incognito, keep in-memory only
+  TAB_DATA.set(tabId, {
+    ...filmSummary(imdbId, record, filmTitle),
+    incognito: !!isIncognito,
+  });
+  if (!isIncognito) saveTabData();
+  updateBadgeForTab(tabId);
+}
+
+// A tab whose film is still loading or failed to load: no icon badge, but the popup
+// can still say which film it is and what went wrong
+function setTabPending(tabId, imdbId, filmTitle, status, error, isIncognito) {
+  TAB_DATA.set(tabId, {
+    imdbId,
+    status,
+    error: error || null,
+    filmTitle: filmTitle || null,
+    incognito: !!isIncognito,
+  });
+  if (!isIncognito) saveTabData();
+  updateBadgeForTab(tabId);
+}
+
+// Listen for tab activation to update badge
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  updateBadgeForTab(activeInfo.tabId);
+});
+
+// Listen for tab updates (URL changes)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    // URL changed, clear badge for this tab
+    TAB_DATA.delete(tabId);
+    saveTabData();
+    updateBadgeForTab(tabId);
+  }
+});
+
+// Clean up when tabs are closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  TAB_DATA.delete(tabId);
   saveTabData();
 });
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg && msg.type === "resolveTmdb" && msg.tmdbId) {
+    resolveImdbIdForTmdb(msg.tmdbType, msg.tmdbId, {
+      isIncognito: !!sender.tab?.incognito,
+    })
+      .then((imdbId) => sendResponse({ ok: true, imdbId }))
+      .catch((err) => sendResponse({ ok: false, error: errorMessage(err) }));
+    return true; // async response
+  }
+
   if (msg && msg.type === "getAspectRatio" && msg.imdbId) {
     (async () => {
       try {
@@ -475,133 +3260,146 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         const isIncognito = !!sender.tab?.incognito; // true if request originated in a private window
 
         // Update transient status (do NOT persist status for incognito)
-        STATUS.totalFetches++;
         STATUS.lastImdbId = imdbId;
         STATUS.lastFilmTitle = msg.filmTitle || null;
         STATUS.lastStatus = "fetching";
+        STATUS.lastRatios = [];
+        STATUS.lastLayout = null;
+        STATUS.lastLayoutLabel = null;
+        STATUS.lastConflict = null;
+        STATUS.lastOverride = null;
+        STATUS.lastMatch = null;
         STATUS.lastUpdate = new Date().toISOString();
         if (!isIncognito) saveStatus(); // persist only for normal windows
+        if (tabId) {
+          setTabPending(
+            tabId,
+            imdbId,
+            msg.filmTitle,
+            "fetching",
+            null,
+            isIncognito
+          );
+        }
 
-        const now = Date.now();
-
-        // If incognito: do not use persistent cache or storage
-        let cached = null;
+        const looked = await lookupAspectRatio(imdbId, { isIncognito, tabId });
+        const match = matchFilm(looked.titleInfo, {
+          title: msg.filmTitle,
+          originalTitle: msg.originalTitle,
+          year: msg.filmYear,
+        });
+        const record = { ...looked, match };
         if (!isIncognito) {
-          cached = await getCached(imdbId);
+          await annotateCached(imdbId, { filmTitle: msg.filmTitle, match });
         }
 
-        if (
-          cached &&
-          cached.fetchedAt &&
-          now - cached.fetchedAt < CACHE_TTL_MS
-        ) {
-          if (!isIncognito) {
-            STATUS.cacheHits++;
-            STATUS.lastStatus = "success";
-            STATUS.lastAspectRatio = cached.aspectRatio;
-            STATUS.lastFilmTitle = msg.filmTitle || null;
-            saveStatus();
-          }
-
-          // For normal tabs, persist tab data; for incognito, keep in-memory only
-          if (tabId && !isIncognito) {
-            TAB_DATA.set(tabId, {
-              imdbId,
-              aspectRatio: cached.aspectRatio,
-              displayText: cached.displayText || cached.aspectRatio,
-              mappedTypeShort: cached.mappedTypeShort || null,
-              filmTitle: msg.filmTitle || null,
-            });
-            saveTabData();
-            updateBadgeForTab(tabId);
-          } else if (tabId && isIncognito) {
-            // incognito: update badge in memory only
-            TAB_DATA.set(tabId, {
-              imdbId,
-              aspectRatio: cached.aspectRatio,
-              displayText: cached.displayText || cached.aspectRatio,
-              mappedTypeShort: cached.mappedTypeShort || null,
-              filmTitle: msg.filmTitle || null,
-            });
-            updateBadgeForTab(tabId);
-          }
+        STATUS.lastStatus = "success";
+        STATUS.lastAspectRatio = record.aspectRatio;
+        STATUS.lastRatios = ratioEntriesForRecord(record);
+        STATUS.lastPrimaryReason = record.primaryReason || null;
+        STATUS.lastLayout = record.layout || "single";
+        STATUS.lastLayoutLabel = record.layoutLabel || null;
+        STATUS.lastConflict =
+          record.reconciliation && record.reconciliation.conflict
+            ? record.reconciliation
+            : null;
+        STATUS.lastOverride = record.overridden ? record.override : null;
+        STATUS.lastMatch = match;
+        STATUS.lastFilmTitle = msg.filmTitle || null;
+        if (!isIncognito) saveStatus();
 
-          sendResponse({ ok: true, data: cached });
-          return;
+        if (tabId) {
+          setTabData(tabId, imdbId, record, msg.filmTitle, isIncognito);
         }
-
-        // Make network request and DO NOT cache to persistent storage if incognito
-        const data = await fetchImdbAspectRatio(imdbId);
-        const record = { ...data, fetchedAt: Date.now() };
-
         if (!isIncognito) {
-          await setCached(imdbId, record);
-          STATUS.lastStatus = "success";
-          STATUS.lastAspectRatio = record.aspectRatio;
-          STATUS.lastFilmTitle = msg.filmTitle || null;
-          saveStatus();
-
-          if (tabId) {
-            TAB_DATA.set(tabId, {
-              imdbId,
-              aspectRatio: record.aspectRatio,
-              displayText: record.displayText || record.aspectRatio,
-              mappedTypeShort: record.mappedTypeShort || null,
-              filmTitle: msg.filmTitle || null,
-            });
-            saveTabData();
-            updateBadgeForTab(tabId);
-          }
-        } else {
-          // incognito: do not persist. Update only in-memory badge for tab
-          STATUS.lastStatus = "success";
-          STATUS.lastAspectRatio = record.aspectRatio;
-          STATUS.lastFilmTitle = msg.filmTitle || null;
-          // do NOT call saveStatus(), setCached(), or saveTabData()
-          if (tabId) {
-            TAB_DATA.set(tabId, {
-              imdbId,
-              aspectRatio: record.aspectRatio,
-              displayText: record.displayText || record.aspectRatio,
-              mappedTypeShort: record.mappedTypeShort || null,
-              filmTitle: msg.filmTitle || null,
-            });
-            updateBadgeForTab(tabId);
-          }
+          recordHistory(imdbId, record, {
+            slug: /^[a-z0-9-]+$/i.test(msg.slug || "") ? msg.slug : null,
+            filmTitle: msg.filmTitle,
+            year: msg.filmYear,
+          });
         }
 
         sendResponse({ ok: true, data: record });
       } catch (err) {
-        STATUS.lastStatus = "error";
-        STATUS.lastError = String(err && err.message ? err.message : err);
+        STATUS.lastStatus =
+          err.code === "budget-exhausted" ? "budget-exhausted" : "error";
+        STATUS.lastError = errorMessage(err);
+        STATUS.lookupErrors++;
         if (!sender.tab?.incognito) saveStatus(); // persist error only for normal sessions
+        if (sender.tab?.id) {
+          setTabPending(
+            sender.tab.id,
+            msg.imdbId,
+            msg.filmTitle,
+            STATUS.lastStatus,
+            STATUS.lastError,
+            !!sender.tab.incognito
+          );
+        }
         sendResponse({
           ok: false,
           error: STATUS.lastError,
+          code: err.code || null,
         });
       }
     })();
     return true; // async response
   }
 
+  if (msg && msg.type === "getAspectRatioBatch" && Array.isArray(msg.items)) {
+    // Grid pages: resolve each tile (by IMDb ID or Letterboxd slug) one after another
+    (async () => {
+      const isIncognito = !!sender.tab?.incognito;
+      const results = [];
+      for (const item of msg.items.slice(0, MAX_BATCH_SIZE)) {
+        const result = {
+          slug: item.slug || null,
+          imdbId: item.imdbId || null,
+          ok: false,
+        };
+        try {
+          if (!result.imdbId && result.slug) {
+            result.imdbId = await resolveImdbIdForSlug(result.slug, {
+              isIncognito,
+            });
+          }
+          if (!result.imdbId) throw new Error("No film identifier");
+          result.data = await lookupAspectRatio(result.imdbId, {
+            isIncognito,
+            tabId: sender.tab?.id,
+          });
+          result.families = familiesForRecord(result.data);
+          result.ok = true;
+        } catch (err) {
+          result.error = errorMessage(err);
+        }
+        results.push(result);
+      }
+      if (!isIncognito) saveStatus();
+      sendResponse({ ok: true, results });
+    })();
+    return true; // async response
+  }
+
   if (msg && msg.type === "updateStatus") {
     // Content script updating status
     const tabId = sender.tab?.id;
     const isIncognito = !!sender.tab?.incognito;
-    
+
     if (msg.imdbId) STATUS.lastImdbId = msg.imdbId;
     if (msg.status) STATUS.lastStatus = msg.status;
     if (msg.aspectRatio) STATUS.lastAspectRatio = msg.aspectRatio;
     if (msg.filmTitle) STATUS.lastFilmTitle = msg.filmTitle;
     if (msg.error) STATUS.lastError = msg.error;
     STATUS.lastUpdate = new Date().toISOString();
-    
+
     // Only persist status if not incognito
     if (!isIncognito) saveStatus();
 
     // Update tab-specific data (persist only if not incognito)
     if (tabId && msg.aspectRatio) {
       TAB_DATA.set(tabId, {
+        ...TAB_DATA.get(tabId),
         imdbId: msg.imdbId || STATUS.lastImdbId,
         aspectRatio: msg.aspectRatio,
         // content doesn't pass displayText; keep previous if any
@@ -615,8 +3413,241 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 
   if (msg && msg.type === "getStatus") {
-    sendResponse(STATUS);
+    sendResponse({
+      ...STATUS,
+      queueDepth: requestQueueDepth(),
+      imdbBudget: imdbBudget(),
+    });
+    return true;
+  }
+
+  // Popup: the film in the active tab (the popup has no sender.tab, so it passes the ID)
+  if (msg && msg.type === "getTabData") {
+    sendResponse({ ok: true, data: TAB_DATA.get(msg.tabId) || null });
+    return true;
+  }
+
+  // Badge ↻ or popup "Refresh now": skip the cache, then update every tab on the film
+  if (msg && msg.type === "refreshFilm" && msg.imdbId) {
+    (async () => {
+      try {
+        const imdbId = msg.imdbId;
+        const tabId = sender.tab ? sender.tab.id : msg.tabId;
+        const isIncognito = sender.tab
+          ? !!sender.tab.incognito
+          : !!TAB_DATA.get(tabId)?.incognito;
+        console.log(`[LB-AR BG] ${imdbId}: forced refresh`);
+        STATUS.forcedRefreshes++;
+        const fresh = await lookupSourceRecord(imdbId, {
+          isIncognito,
+          force: true,
+        });
+        const tabIds = new Set(tabsShowingFilm(imdbId, isIncognito));
+        if (tabId != null) tabIds.add(tabId);
+        await notifyTabsOfUpdate(imdbId, fresh, tabIds, { isIncognito });
+        sendResponse({ ok: true, data: TAB_DATA.get(tabId) || null });
+      } catch (err) {
+        sendResponse({ ok: false, error: errorMessage(err) });
+      }
+    })();
+    return true; // async response
+  }
+
+  // Popup lookup box: same cache-then-providers path as a film page, without a tab
+  if (msg && msg.type === "lookupFilm") {
+    (async () => {
+      try {
+        const isIncognito = !!msg.incognito;
+        const { imdbId: parsedId, slug } = parseFilmQuery(msg.query);
+        const imdbId =
+          parsedId || (await resolveImdbIdForSlug(slug, { isIncognito }));
+        const record = await lookupAspectRatio(imdbId, { isIncognito });
+        const filmTitle =
+          record.filmTitle || (record.titleInfo && record.titleInfo.title);
+        if (!isIncognito) {
+          recordHistory(imdbId, record, { slug, filmTitle });
+        }
+        sendResponse({
+          ok: true,
+          data: {
+            ...filmSummary(imdbId, record, filmTitle),
+            slug,
+            techSpecs: record.techSpecs || [],
+          },
+        });
+      } catch (err) {
+        sendResponse({
+          ok: false,
+          error: errorMessage(err),
+          code: err.code || null,
+        });
+      }
+    })();
+    return true; // async response
+  }
+
+  if (msg && msg.type === "getStats") {
+    collectStats()
+      .then((stats) => sendResponse({ ok: true, ...stats }))
+      .catch((err) => sendResponse({ ok: false, error: errorMessage(err) }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === "getHistory") {
+    sendResponse({ ok: true, entries: HISTORY });
+    return true;
+  }
+
+  if (msg && msg.type === "clearHistory") {
+    HISTORY = [];
+    saveHistory();
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  if (msg && msg.type === "getOverride" && msg.imdbId) {
+    const isIncognito = sender.tab ? !!sender.tab.incognito : !!msg.incognito;
+    getOverride(msg.imdbId, { isIncognito }).then((override) =>
+      sendResponse({ override })
+    );
+    return true; // async response
+  }
+
+  if (
+    msg &&
+    (msg.type === "setOverride" || msg.type === "clearOverride") &&
+    msg.imdbId
+  ) {
+    (async () => {
+      try {
+        const imdbId = msg.imdbId;
+        // The popup isn't a tab and says which kind of window it belongs to
+        const isIncognito = sender.tab
+          ? !!sender.tab.incognito
+          : !!msg.incognito;
+        const override =
+          msg.type === "setOverride" ? buildOverride(msg.override || {}) : null;
+        if (isIncognito) {
+          INCOGNITO_OVERRIDES.set(imdbId, override);
+        } else if (override) {
+          if (!(await setStored(overrideKey(imdbId), override))) {
+            throw new Error("Could not save the override (storage full?)");
+          }
+        } else {
+          await removeStored(overrideKey(imdbId));
+        }
+
+        // The caller gets the record with the override applied
+        const record = await recordWithOverride(imdbId, override, {
+          isIncognito,
+        });
+        if (!isIncognito) updateHistoryRatios(imdbId, record);
+        // Private tabs with a session override of their own keep it
+        const affected = (data) =>
+          !!data.incognito === isIncognito ||
+          (!isIncognito && !INCOGNITO_OVERRIDES.has(imdbId));
+        TAB_DATA.forEach((data, tabId) => {
+          if (data.imdbId === imdbId && affected(data)) {
+            setTabData(
+              tabId,
+              imdbId,
+              { ...record, match: data.match },
+              data.filmTitle,
+              data.incognito
+            );
+          }
+        });
+        if (STATUS.lastImdbId === imdbId) {
+          STATUS.lastAspectRatio = record.aspectRatio;
+          STATUS.lastRatios = ratioEntriesForRecord(record);
+          STATUS.lastPrimaryReason = record.primaryReason || null;
+          STATUS.lastLayout = record.layout || "single";
+          STATUS.lastLayoutLabel = record.layoutLabel || null;
+          STATUS.lastOverride = record.overridden ? record.override : null;
+          if (!isIncognito) saveStatus();
+        }
+        sendResponse({ ok: true, data: record });
+      } catch (err) {
+        sendResponse({ ok: false, error: errorMessage(err) });
+      }
+    })();
+    return true; // async response
+  }
+
+  // Cache manager (options page)
+  if (msg && msg.type === "listCache") {
+    listCacheEntries()
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: errorMessage(err) }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === "refreshCacheEntry" && msg.imdbId) {
+    STATUS.forcedRefreshes++;
+    lookupSourceRecord(msg.imdbId, { force: true })
+      .then(async (record) => {
+        await notifyTabsOfUpdate(
+          msg.imdbId,
+          record,
+          tabsShowingFilm(msg.imdbId, false)
+        );
+        sendResponse({
+          ok: true,
+          entry: summarizeCacheEntry(msg.imdbId, record),
+        });
+      })
+      .catch((err) => sendResponse({ ok: false, error: errorMessage(err) }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === "deleteCacheEntry" && msg.imdbId) {
+    removeStored(cacheKey(msg.imdbId)).then(() => sendResponse({ ok: true }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === "exportData") {
+    exportData(msg.format)
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: errorMessage(err) }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === "importData" && typeof msg.content === "string") {
+    importData(msg.content, msg.mode === "replace" ? "replace" : "merge")
+      .then((result) => sendResponse({ ok: true, ...result }))
+      .catch((err) => sendResponse({ ok: false, error: errorMessage(err) }));
+    return true; // async response
+  }
+
+  if (msg && msg.type === "purgeCache") {
+    const days = parseInt(msg.olderThanDays, 10);
+    purgeCacheEntries(days > 0 ? days : 0).then((removed) =>
+      sendResponse({ ok: true, removed })
+    );
+    return true; // async response
+  }
+
+  if (msg && msg.type === "getSettings") {
+    sendResponse({
+      settings: SETTINGS,
+      defaults: DEFAULT_SETTINGS,
+      providers: Object.values(PROVIDERS).map(
+        ({ id, label, defaultBaseUrl }) => ({
+          id,
+          label,
+          defaultBaseUrl,
+        })
+      ),
+    });
     return true;
   }
+
+  if (msg && msg.type === "saveSettings") {
+    SETTINGS = validateSettings(msg.settings);
+    chrome.storage.sync.set({ settings: SETTINGS }, () => {
+      sendResponse({ ok: true, settings: SETTINGS });
+    });
+    return true; // async response
+  }
   // not handled
 });
@@ -1,12 +1,16 @@
 // Content script for Letterboxd film pages
-// - Finds IMDb ID from the "More at IMDB" link
+// - Finds IMDb ID from the "More at IMDB" link (or maps the TMDB link when there is none)
 // - Injects an AR badge next to the runtime (preferred), with fallback next to the IMDb link
 // - Requests aspect ratio from background and renders it
+// - Adds a "Tech Specs" tab (IMDb's technical specs) next to Cast/Crew/Details/Genres
+// - Re-renders when the background refreshes a stale cached record
 
 (function () {
   const STATE = {
     initializedForPath: null,
     runtimeBadgeEl: null,
+    imdbId: null, // film the badge shows, for background updates
+    badgeEl: null,
   };
 
   function log(...args) {
@@ -25,6 +29,18 @@
     return null;
   }
 
+  // Fallback for films Letterboxd has no IMDb link for: its TMDB link
+  function findTmdbLink() {
+    return document.querySelector(
+      'a[href*="themoviedb.org/movie/"], a[href*="themoviedb.org/tv/"]'
+    );
+  }
+
+  function extractTmdbFromHref(href) {
+    const m = (href || "").match(/themoviedb\.org\/(movie|tv)\/(\d+)/);
+    return m ? { tmdbType: m[1], tmdbId: m[2] } : null;
+  }
+
   function extractImdbIdFromHref(href) {
     if (!href) return null;
     const m = href.match(/tt\d{5,10}/);
@@ -70,6 +86,30 @@
     return null;
   }
 
+  // "/film/the-dark-knight/" -> "the-dark-knight", kept with the film in the history
+  function getFilmSlug() {
+    const m = location.pathname.match(/^\/film\/([a-z0-9-]+)/i);
+    return m ? m[1] : null;
+  }
+
+  // Letterboxd shows the original title under the headline for foreign films
+  function getOriginalTitle() {
+    const el = document.querySelector(".originalname, h2.originalname");
+    return el ? el.textContent.trim() || null : null;
+  }
+
+  function getFilmYear() {
+    const el = document.querySelector(
+      ".releaseyear a, .film-header .number a, small.number a"
+    );
+    const m = el && el.textContent.match(/\b(\d{4})\b/);
+    if (m) return m[1];
+    // og:title is "Title (1999)"
+    const og = document.querySelector("meta[property='og:title']");
+    const ogm = og && (og.getAttribute("content") || "").match(/\((\d{4})\)/);
+    return ogm ? ogm[1] : null;
+  }
+
   function findRuntimeElement() {
     // First, try the most direct approach: find text nodes containing "NNN mins"
     const walker = document.createTreeWalker(
@@ -212,20 +252,58 @@
     return badge;
   }
 
-  function updateBadge(badgeEl, text, source, sourceUrl) {
+  // One line per ratio with IMDb's context, e.g. "1.43:1 — IMAX version"
+  function describeRatios(ratios) {
+    if (!ratios || ratios.length === 0) return "";
+    return ratios
+      .map((r) => (r.note ? `${r.ratio} — ${r.note}` : r.ratio))
+      .join("\n");
+  }
+
+  // "Sources disagree" lines: each ratio with the sources that list it
+  function describeConflict(reconciliation) {
+    if (!reconciliation || !reconciliation.conflict) return "";
+    return `⚠ Sources disagree:\n${reconciliation.clusters
+      .map(
+        (c) =>
+          `${c.ratio} — ${c.sources.join(", ")} (${Math.round(
+            c.confidence * 100
+          )}%)`
+      )
+      .join("\n")}`;
+  }
+
+  // Letterboxd's IMDb link looks like another film (remake, short of the same name, …)
+  function describeMismatch(match) {
+    if (!match || !match.mismatch) return "";
+    return `⚠ The IMDb link may be for a different film: IMDb has "${
+      match.imdbTitle
+    }"${match.imdbYear ? ` (${match.imdbYear})` : ""}, match ${Math.round(
+      match.confidence * 100
+    )}%`;
+  }
+
+  function updateBadge(badgeEl, text, source, sourceUrl, ratios) {
     if (!badgeEl) {
       log("updateBadge: badgeEl is null!");
       return;
     }
-    log("updateBadge called with:", { text, source, sourceUrl, badgeEl });
+    log("updateBadge called with:", {
+      text,
+      source,
+      sourceUrl,
+      ratios,
+      badgeEl,
+    });
     badgeEl.classList.remove("lb-ar-loading");
     if (text) {
       badgeEl.textContent = `Aspect Ratio: ${text}`;
       if (source) {
+        const breakdown = describeRatios(ratios);
         badgeEl.setAttribute("data-source", source);
         badgeEl.title = `Aspect ratio from ${source.toUpperCase()}${
-          sourceUrl ? "\n" + sourceUrl : ""
-        }`;
+          breakdown ? "\n" + breakdown : ""
+        }${sourceUrl ? "\n" + sourceUrl : ""}`;
       }
       if (sourceUrl) {
         // Make the badge clickable
@@ -245,10 +323,348 @@
     log("updateBadge: badge updated, innerHTML:", badgeEl.innerHTML);
   }
 
+  // Letterboxd-style rows: <h3><span>Label</span></h3><div class="text-sluglist">…</div>
+  function buildTechSpecsContent(data) {
+    const frag = document.createDocumentFragment();
+    const rows = [];
+    if (data.ratios && data.ratios.length > 0) {
+      rows.push({
+        label: "Aspect ratio",
+        values: data.ratios.map((r) =>
+          r.note ? `${r.ratio} (${r.note})` : r.ratio
+        ),
+      });
+    }
+    rows.push(...data.techSpecs);
+
+    rows.forEach((spec) => {
+      const heading = document.createElement("h3");
+      const label = document.createElement("span");
+      label.textContent = spec.label;
+      heading.appendChild(label);
+
+      const list = document.createElement("div");
+      list.className = "text-sluglist";
+      const p = document.createElement("p");
+      spec.values.forEach((value) => {
+        const slug = document.createElement("span");
+        slug.className = "text-slug";
+        slug.textContent = value;
+        p.append(slug, " ");
+      });
+      list.appendChild(p);
+      frag.append(heading, list);
+    });
+
+    if (data.sourceUrl) {
+      const footer = document.createElement("p");
+      footer.className = "text-link text-footer";
+      const link = document.createElement("a");
+      link.href = data.sourceUrl;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = "Source: IMDb technical specifications";
+      footer.appendChild(link);
+      frag.appendChild(footer);
+    }
+    return frag;
+  }
+
+  function insertTechSpecsTab(tabs, tabList, data) {
+    const li = document.createElement("li");
+    li.className = "lb-ar-techspecs-tab";
+    const anchor = document.createElement("a");
+    anchor.href = "#tab-lb-ar-techspecs";
+    anchor.setAttribute("data-id", "lb-ar-techspecs");
+    anchor.textContent = "Tech Specs";
+    li.appendChild(anchor);
+    tabList.appendChild(li);
+
+    const block = document.createElement("div");
+    block.id = "tab-lb-ar-techspecs";
+    block.className = "tabbed-content-block lb-ar-techspecs-block";
+    block.style.display = "none";
+    block.appendChild(buildTechSpecsContent(data));
+    tabs.appendChild(block);
+
+    // One listener for the tab strip, however often the tab is re-rendered
+    if (!tabList.dataset.lbArTabs) {
+      tabList.dataset.lbArTabs = "1";
+      tabList.addEventListener("click", (e) =>
+        onTabListClick(e, tabs, tabList)
+      );
+    }
+  }
+
+  function onTabListClick(e, tabs, tabList) {
+    const clicked = e.target.closest("a");
+    const li = tabList.querySelector(".lb-ar-techspecs-tab");
+    const block = tabs.querySelector("#tab-lb-ar-techspecs");
+    if (!clicked || !li || !block) return;
+
+    if (li.contains(clicked)) {
+      e.preventDefault();
+      e.stopPropagation();
+      tabList
+        .querySelectorAll("li")
+        .forEach((item) => item.classList.remove("selected"));
+      li.classList.add("selected");
+      tabs.querySelectorAll(".tabbed-content-block").forEach((b) => {
+        b.style.display = b === block ? "block" : "none";
+      });
+      return;
+    }
+
+    // Letterboxd's own tab script doesn't know about our block, so hide it and
+    // re-show the clicked tab ourselves (its script may think that tab is still active)
+    li.classList.remove("selected");
+    block.style.display = "none";
+    clicked.parentElement.classList.add("selected");
+    const href = clicked.getAttribute("href") || "";
+    const target = href.startsWith("#") ? tabs.querySelector(href) : null;
+    if (target) target.style.display = "block";
+  }
+
+  function renderTechSpecs(data, badgeEl) {
+    const hasSpecs = !!(data && data.techSpecs && data.techSpecs.length > 0);
+    const tabs = document.querySelector("#tabbed-content");
+    const tabList = tabs && tabs.querySelector("header ul, ul");
+    const tab = document.querySelector(".lb-ar-techspecs-tab");
+    const block = document.querySelector("#tab-lb-ar-techspecs");
+    const details = document.querySelector(".lb-ar-techspecs");
+
+    // Re-renders (override saved, stale record refreshed) refill the tab or section in
+    // place, so one the user has open stays selected and visible
+    if (hasSpecs && tabs && tabList && tab && block) {
+      block.replaceChildren(buildTechSpecsContent(data));
+      return;
+    }
+    if (hasSpecs && !(tabs && tabList) && details) {
+      details.replaceChildren(
+        details.querySelector("summary"),
+        buildTechSpecsContent(data)
+      );
+      return;
+    }
+
+    const wasSelected = !!(tab && tab.classList.contains("selected"));
+    [tab, block, details].forEach((el) => el && el.remove());
+    if (wasSelected && tabList) showFirstTab(tabs, tabList);
+    if (!hasSpecs) return;
+
+    if (tabs && tabList) {
+      insertTechSpecsTab(tabs, tabList, data);
+      log("Tech specs tab added");
+      return;
+    }
+
+    // No tab strip on this page: fall back to an expandable section under the badge
+    const anchorEl = badgeEl && (badgeEl.closest("p, div") || badgeEl);
+    if (!anchorEl) return;
+    const section = document.createElement("details");
+    section.className = "lb-ar-techspecs";
+    const summary = document.createElement("summary");
+    summary.textContent = "Tech Specs";
+    section.append(summary, buildTechSpecsContent(data));
+    anchorEl.insertAdjacentElement("afterend", section);
+    log("Tech specs section added");
+  }
+
+  // Our tab went away while it was open: show Letterboxd's first tab instead of nothing
+  function showFirstTab(tabs, tabList) {
+    const first = tabList.querySelector("li");
+    const anchor = first && first.querySelector("a");
+    if (!anchor) return;
+    first.classList.add("selected");
+    const href = anchor.getAttribute("href") || "";
+    const target = href.startsWith("#") ? tabs.querySelector(href) : null;
+    if (target) target.style.display = "block";
+  }
+
+  function renderResult(badge, data) {
+    badge.title = "Aspect ratio";
+    badge.classList.remove("lb-ar-na");
+    const isVariable = data.layout === "variable";
+    // Variable-within-film: show the range; the per-ratio breakdown is on hover
+    const display = isVariable
+      ? data.layoutLabel || "Variable"
+      : data.displayText || data.aspectRatio;
+
+    updateBadge(badge, display, data.source, data.sourceUrl, data.ratios);
+    badge.classList.toggle("lb-ar-variable", isVariable);
+    const conflict = describeConflict(data.reconciliation);
+    badge.classList.toggle("lb-ar-conflict", !!conflict);
+    if (conflict) badge.title += `\n${conflict}`;
+    badge.classList.toggle("lb-ar-overridden", !!data.overridden);
+    const mismatch = describeMismatch(data.match);
+    badge.classList.toggle("lb-ar-mismatch", !!mismatch);
+    if (mismatch) badge.title += `\n${mismatch}`;
+    if (data.overridden) {
+      badge.title += `\n✎ Your override${
+        data.override && data.override.note ? `: ${data.override.note}` : ""
+      }`;
+    }
+    renderTechSpecs(data, badge);
+  }
+
+  // ✎ next to the badge: lets the user record what they actually saw
+  function ensureOverrideButton(badge, imdbId) {
+    const existing = badge.parentElement.querySelector(".lb-ar-override-btn");
+    if (existing) existing.remove();
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "lb-ar-override-btn";
+    button.title = "Set your own aspect ratio or a viewing note";
+    button.textContent = "✎";
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      toggleOverrideForm(badge, button, imdbId);
+    });
+    badge.insertAdjacentElement("afterend", button);
+  }
+
+  // ↻ skips the cache; the background pushes the new result to every tab on this film
+  function ensureRefreshButton(badge, imdbId) {
+    const existing = badge.parentElement.querySelector(".lb-ar-refresh-btn");
+    if (existing) existing.remove();
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "lb-ar-refresh-btn";
+    button.title = "Fetch the aspect ratio again from IMDb";
+    button.textContent = "↻";
+    button.addEventListener("click", async (e) => {
+      e.preventDefault();
+      button.disabled = true;
+      button.classList.add("lb-ar-refreshing");
+      const resp = await sendOverrideMessage({ type: "refreshFilm", imdbId });
+      button.disabled = false;
+      button.classList.remove("lb-ar-refreshing");
+      button.title =
+        resp && resp.ok
+          ? "Fetch the aspect ratio again from IMDb"
+          : `Refresh failed: ${resp?.error || "no response"}`;
+    });
+    const overrideButton = badge.parentElement.querySelector(
+      ".lb-ar-override-btn"
+    );
+    (overrideButton || badge).insertAdjacentElement("afterend", button);
+  }
+
+  function sendOverrideMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (resp) => {
+        resolve(resp || { ok: false, error: "No response" });
+      });
+    });
+  }
+
+  async function toggleOverrideForm(badge, button, imdbId) {
+    const open = document.querySelector(".lb-ar-override-form");
+    if (open) {
+      open.remove();
+      return;
+    }
+
+    const { override } = await sendOverrideMessage({
+      type: "getOverride",
+      imdbId,
+    });
+    const current = override || {};
+
+    const form = document.createElement("form");
+    form.className = "lb-ar-override-form";
+    const field = (labelText, name, value, placeholder) => {
+      const label = document.createElement("label");
+      label.textContent = labelText;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.name = name;
+      input.value = value || "";
+      input.placeholder = placeholder;
+      label.appendChild(input);
+      form.appendChild(label);
+      return input;
+    };
+    const ratiosInput = field(
+      "Ratios",
+      "ratios",
+      (current.ratios || [])
+        .map((r) => (r.note ? `${r.ratio} (${r.note})` : r.ratio))
+        .join(", "),
+      "1.66:1 (35mm print), 1.85:1"
+    );
+    const primaryInput = field("Primary", "primary", current.primary, "1.66:1");
+    const noteInput = field(
+      "Note",
+      "note",
+      current.note,
+      "What you saw, where"
+    );
+
+    const actions = document.createElement("div");
+    actions.className = "lb-ar-override-actions";
+    const addButton = (text, type, onClick) => {
+      const b = document.createElement("button");
+      b.type = type;
+      b.textContent = text;
+      if (onClick) b.addEventListener("click", onClick);
+      actions.appendChild(b);
+      return b;
+    };
+    const status = document.createElement("span");
+    status.className = "lb-ar-override-status";
+
+    const apply = (resp) => {
+      if (resp && resp.ok && resp.data) {
+        renderResult(badge, resp.data);
+        form.remove();
+      } else {
+        status.textContent = resp?.error || "Could not save";
+      }
+    };
+
+    addButton("Save", "submit");
+    if (override) {
+      addButton("Remove override", "button", async () => {
+        apply(await sendOverrideMessage({ type: "clearOverride", imdbId }));
+      });
+    }
+    addButton("Cancel", "button", () => form.remove());
+    actions.appendChild(status);
+    form.appendChild(actions);
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      apply(
+        await sendOverrideMessage({
+          type: "setOverride",
+          imdbId,
+          override: {
+            ratiosText: ratiosInput.value,
+            primary: primaryInput.value,
+            note: noteInput.value,
+          },
+        })
+      );
+    });
+
+    const anchorEl = badge.closest("p, div") || button;
+    anchorEl.insertAdjacentElement("afterend", form);
+    ratiosInput.focus();
+  }
+
   function requestAspectRatio(imdbId, filmTitle) {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { type: "getAspectRatio", imdbId, filmTitle },
+        {
+          type: "getAspectRatio",
+          imdbId,
+          filmTitle,
+          slug: getFilmSlug(),
+          // Let the background check the IMDb link points at this film
+          originalTitle: getOriginalTitle(),
+          filmYear: getFilmYear(),
+        },
         (resp) => {
           if (!resp) return resolve({ ok: false, error: "No response" });
           resolve(resp);
@@ -261,7 +677,41 @@
     const id = extractImdbIdFromHref(anchor.href);
     log("Extracted IMDb ID:", id);
     if (!id) return;
+    initWithImdbId(id, anchor, path);
+  }
+
+  // No IMDb link: ask the background to map the TMDB link to an IMDb ID
+  function initWithTmdbAnchor(anchor, path) {
+    const tmdb = extractTmdbFromHref(anchor.href);
+    log("Extracted TMDB ID:", tmdb);
+    if (!tmdb) return false;
+    STATE.initializedForPath = path;
+    chrome.runtime.sendMessage({ type: "resolveTmdb", ...tmdb }, (resp) => {
+      if (resp && resp.ok && resp.imdbId) {
+        log("TMDB resolved to IMDb ID:", resp.imdbId);
+        initWithImdbId(resp.imdbId, anchor, path);
+        return;
+      }
+      log("TMDB resolution failed:", resp?.error);
+      showNoImdbLink(resp?.error);
+    });
+    return true;
+  }
 
+  function showNoImdbLink(reason) {
+    const badge =
+      STATE.runtimeBadgeEl || document.querySelector(".lb-ar-badge");
+    if (!badge) return;
+    updateBadge(badge, null, null, null);
+    badge.textContent = "No IMDb link";
+    badge.title = reason
+      ? `No IMDb link found on this page (${reason})`
+      : "No IMDb link found on this page";
+    badge.classList.add("lb-ar-na");
+  }
+
+  // `anchor` is the IMDb (or TMDB) link, used to place the badge when there's no runtime
+  function initWithImdbId(id, anchor, path) {
     const filmTitle = getFilmTitle();
     log("Film title:", filmTitle);
 
@@ -286,6 +736,8 @@
     }
 
     STATE.initializedForPath = path;
+    STATE.imdbId = id;
+    STATE.badgeEl = badge;
 
     // Update extension status
     chrome.runtime.sendMessage({
@@ -297,10 +749,10 @@
 
     requestAspectRatio(id, filmTitle).then((resp) => {
       log("Got aspect ratio response:", resp);
+      ensureOverrideButton(badge, id);
+      ensureRefreshButton(badge, id);
       if (resp && resp.ok && resp.data) {
-        const display = resp.data.displayText || resp.data.aspectRatio;
-
-        updateBadge(badge, display, resp.data.source, resp.data.sourceUrl);
+        renderResult(badge, resp.data);
         chrome.runtime.sendMessage({
           type: "updateStatus",
           imdbId: id,
@@ -310,10 +762,15 @@
         });
       } else {
         updateBadge(badge, null);
+        const budgetSpent = resp?.code === "budget-exhausted";
+        if (budgetSpent) {
+          badge.textContent = "AR: later";
+          badge.title = resp.error;
+        }
         chrome.runtime.sendMessage({
           type: "updateStatus",
           imdbId: id,
-          status: "error",
+          status: budgetSpent ? "budget-exhausted" : "error",
           error: resp?.error || "Not found",
           filmTitle: filmTitle,
         });
@@ -356,14 +813,10 @@
             initWithAnchor(a, path);
           } else {
             log("IMDb link not found after 15 retries");
+            const tmdbAnchor = findTmdbLink();
+            if (tmdbAnchor && initWithTmdbAnchor(tmdbAnchor, path)) return;
             // Update any existing badge to show no IMDb link available
-            const badge = STATE.runtimeBadgeEl || document.querySelector(".lb-ar-badge");
-            if (badge) {
-              updateBadge(badge, null, null, null);
-              badge.textContent = "No IMDb link";
-              badge.title = "No IMDb link found on this page";
-              badge.classList.add("lb-ar-na");
-            }
+            showNoImdbLink();
             STATE.initializedForPath = path; // Mark as processed
           }
         }
@@ -387,6 +840,15 @@
     obs.observe(document, { subtree: true, childList: true });
   }
 
+  // A stale record was refreshed in the background, or a refresh was forced (here or elsewhere)
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (!msg || msg.type !== "aspectRatioUpdated") return;
+    if (msg.imdbId !== STATE.imdbId || !STATE.badgeEl) return;
+    if (!STATE.badgeEl.isConnected) return;
+    log("Aspect ratio updated in background:", msg.data);
+    renderResult(STATE.badgeEl, msg.data);
+  });
+
   // Kick off
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", runOncePerPage);
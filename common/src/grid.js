@@ -0,0 +1,417 @@
+// Content script for Letterboxd poster grids and diary rows
+// - Finds film tiles on list, watchlist, diary, search and /films/ browse pages
+// - Tiles carry no IMDb link, so each one is resolved by its Letterboxd slug in the background
+// - Looks up visible tiles in batches and renders a small ratio chip on each
+// - On lists and watchlists, adds a toolbar to filter by format family and sort by ratio
+
+(function () {
+  const BATCH_SIZE = 8;
+  const TILE_SELECTOR =
+    "[data-film-slug], [data-item-slug], [data-target-link^='/film/'], [data-item-link^='/film/']";
+
+  const STATE = {
+    tiles: new Map(), // slug -> { slug, imdbId, hosts: Set<Element>, status, data, families, error }
+    queue: [], // slugs waiting for a lookup
+    flushing: false,
+    visibilityObserver: null,
+    toolbarEl: null,
+    filterFamily: "", // "" = all formats
+    sortOrder: "list", // list, narrow, wide
+    nextIndex: 0, // original position of each host, used to restore list order
+  };
+
+  const TOOLBAR_PAGE_RE = /\/(list|watchlist)\//;
+
+  function log(...args) {
+    console.log("[LB-AR]", ...args);
+  }
+
+  function slugForElement(el) {
+    const direct =
+      el.getAttribute("data-film-slug") || el.getAttribute("data-item-slug");
+    if (direct) return direct;
+    const link =
+      el.getAttribute("data-target-link") ||
+      el.getAttribute("data-item-link") ||
+      "";
+    const m = link.match(/^\/film\/([^/]+)\//);
+    return m ? m[1] : null;
+  }
+
+  function hostForTile(el) {
+    // Diary rows get an inline chip next to the film details; poster tiles get an overlay
+    const row = el.closest("tr");
+    if (row) {
+      return (
+        row.querySelector(".td-film-details, .col-production") ||
+        el.closest("td") ||
+        row
+      );
+    }
+    return el.closest("li, .poster-container, .griditem") || el;
+  }
+
+  function ensureChip(host) {
+    let chip = host.querySelector(":scope > .lb-ar-chip");
+    if (chip) return chip;
+    chip = document.createElement("span");
+    chip.className = "lb-ar-chip lb-ar-loading";
+    chip.textContent = "…";
+    chip.title = "Aspect ratio";
+    if (host.tagName === "TD") {
+      chip.classList.add("lb-ar-chip-inline");
+    } else {
+      host.classList.add("lb-ar-chip-host");
+    }
+    host.appendChild(chip);
+    return chip;
+  }
+
+  function ratioToNumber(ratio) {
+    const m = String(ratio || "").match(
+      /(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/
+    );
+    if (!m) return null;
+    const den = parseFloat(m[2]);
+    return den ? parseFloat(m[1]) / den : null;
+  }
+
+  function renderChip(chip, tile) {
+    chip.classList.remove(
+      "lb-ar-loading",
+      "lb-ar-na",
+      "lb-ar-variable",
+      "lb-ar-conflict",
+      "lb-ar-overridden"
+    );
+    const reconciliation = tile.data && tile.data.reconciliation;
+    if (reconciliation && reconciliation.conflict) {
+      chip.classList.add("lb-ar-conflict");
+    }
+    if (
+      tile.status === "done" &&
+      tile.data &&
+      tile.data.layout === "variable"
+    ) {
+      chip.textContent = "VAR";
+      chip.title = `${tile.data.layoutLabel || "Variable"}\n${(
+        tile.data.displayText || ""
+      )
+        .split(" • ")
+        .join("\n")}`;
+      chip.classList.add("lb-ar-variable");
+    } else if (tile.status === "done" && tile.data) {
+      chip.textContent = tile.data.aspectRatio;
+      chip.title = tile.data.displayText || tile.data.aspectRatio;
+      if (reconciliation && reconciliation.conflict) {
+        chip.title += `\n⚠ Sources disagree (${reconciliation.sources.join(
+          ", "
+        )})`;
+      }
+      if (tile.data.source) chip.setAttribute("data-source", tile.data.source);
+    } else if (tile.status === "error") {
+      chip.textContent = "N/A";
+      chip.title = tile.error || "Aspect ratio not found";
+      chip.classList.add("lb-ar-na");
+    } else {
+      chip.textContent = "…";
+      chip.classList.add("lb-ar-loading");
+    }
+    if (tile.status === "done" && tile.data && tile.data.overridden) {
+      chip.classList.add("lb-ar-overridden");
+      const note = tile.data.override && tile.data.override.note;
+      chip.title += `\n✎ Your override${note ? `: ${note}` : ""}`;
+    }
+  }
+
+  function renderTile(tile) {
+    tile.hosts.forEach((host) => {
+      if (!host.isConnected) {
+        tile.hosts.delete(host);
+        return;
+      }
+      renderChip(ensureChip(host), tile);
+    });
+  }
+
+  function requestBatch(items) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { type: "getAspectRatioBatch", items },
+        (resp) => {
+          if (!resp) return resolve({ ok: false, error: "No response" });
+          resolve(resp);
+        }
+      );
+    });
+  }
+
+  function enqueue(slug) {
+    const tile = STATE.tiles.get(slug);
+    if (!tile || tile.status !== "new") return;
+    tile.status = "queued";
+    STATE.queue.push(slug);
+    flushQueue();
+  }
+
+  async function flushQueue() {
+    if (STATE.flushing) return;
+    STATE.flushing = true;
+    try {
+      while (STATE.queue.length > 0) {
+        const slugs = STATE.queue.splice(0, BATCH_SIZE);
+        log("Requesting batch:", slugs);
+        const resp = await requestBatch(slugs.map((slug) => ({ slug })));
+        const results = (resp && resp.results) || [];
+        slugs.forEach((slug) => {
+          const tile = STATE.tiles.get(slug);
+          if (!tile) return;
+          const result = results.find((r) => r.slug === slug);
+          if (result) tile.imdbId = result.imdbId || null;
+          if (result && result.ok && result.data) {
+            tile.status = "done";
+            tile.data = result.data;
+            tile.families = result.families || [];
+          } else {
+            tile.status = "error";
+            tile.error = (result && result.error) || resp.error || "Not found";
+          }
+          renderTile(tile);
+        });
+        if (STATE.toolbarEl) applyFilterAndSort();
+      }
+    } finally {
+      STATE.flushing = false;
+    }
+  }
+
+  function getVisibilityObserver() {
+    if (STATE.visibilityObserver) return STATE.visibilityObserver;
+    STATE.visibilityObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+          STATE.visibilityObserver.unobserve(entry.target);
+          enqueue(entry.target.getAttribute("data-lb-ar-slug"));
+        });
+      },
+      { rootMargin: "200px" }
+    );
+    return STATE.visibilityObserver;
+  }
+
+  function scanTiles() {
+    const found = document.querySelectorAll(TILE_SELECTOR);
+    let added = 0;
+    found.forEach((el) => {
+      const slug = slugForElement(el);
+      if (!slug) return;
+      const host = hostForTile(el);
+      if (host.hasAttribute("data-lb-ar-slug")) return;
+      host.setAttribute("data-lb-ar-slug", slug);
+      host.setAttribute("data-lb-ar-index", String(STATE.nextIndex++));
+
+      let tile = STATE.tiles.get(slug);
+      if (!tile) {
+        tile = { slug, hosts: new Set(), status: "new", data: null };
+        STATE.tiles.set(slug, tile);
+      }
+      tile.hosts.add(host);
+      renderChip(ensureChip(host), tile);
+      if (tile.status === "new") getVisibilityObserver().observe(host);
+      added++;
+    });
+    if (added > 0) {
+      log(`Found ${added} new film tiles`);
+      if (STATE.toolbarEl) {
+        if (isFilterOrSortActive()) lookUpAllTiles();
+        applyFilterAndSort();
+      } else {
+        ensureToolbar();
+      }
+    }
+  }
+
+  // ---- Filter / sort toolbar (lists and watchlists) ----
+
+  function isFilterOrSortActive() {
+    return STATE.filterFamily !== "" || STATE.sortOrder !== "list";
+  }
+
+  function lookUpAllTiles() {
+    // Filtering or sorting needs every film, not just the ones scrolled into view
+    STATE.tiles.forEach((tile) => {
+      if (tile.status !== "new") return;
+      tile.hosts.forEach((host) => getVisibilityObserver().unobserve(host));
+      enqueue(tile.slug);
+    });
+  }
+
+  function ensureToolbar() {
+    if (STATE.toolbarEl || !TOOLBAR_PAGE_RE.test(location.pathname)) return;
+    const firstHost = document.querySelector("[data-lb-ar-slug]");
+    const list = firstHost && firstHost.parentElement;
+    if (!list || !list.parentElement) return;
+
+    const bar = document.createElement("div");
+    bar.className = "lb-ar-toolbar";
+
+    const label = document.createElement("span");
+    label.className = "lb-ar-toolbar-label";
+    label.textContent = "Aspect ratio:";
+
+    const filter = document.createElement("select");
+    filter.className = "lb-ar-filter";
+    filter.title = "Show only films in this format family";
+    filter.addEventListener("change", () => {
+      STATE.filterFamily = filter.value;
+      if (isFilterOrSortActive()) lookUpAllTiles();
+      applyFilterAndSort();
+    });
+
+    const sort = document.createElement("select");
+    sort.className = "lb-ar-sort";
+    sort.title = "Sort by primary aspect ratio";
+    [
+      ["list", "List order"],
+      ["narrow", "Narrowest first"],
+      ["wide", "Widest first"],
+    ].forEach(([value, text]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      sort.appendChild(opt);
+    });
+    sort.addEventListener("change", () => {
+      STATE.sortOrder = sort.value;
+      if (isFilterOrSortActive()) lookUpAllTiles();
+      applyFilterAndSort();
+    });
+
+    const progress = document.createElement("span");
+    progress.className = "lb-ar-toolbar-progress";
+
+    bar.append(label, filter, sort, progress);
+    list.parentElement.insertBefore(bar, list);
+    STATE.toolbarEl = bar;
+    applyFilterAndSort();
+  }
+
+  function updateToolbar() {
+    const filter = STATE.toolbarEl.querySelector(".lb-ar-filter");
+    const counts = new Map();
+    let resolved = 0;
+    STATE.tiles.forEach((tile) => {
+      if (tile.status === "done" || tile.status === "error") resolved++;
+      (tile.families || []).forEach((f) =>
+        counts.set(f, (counts.get(f) || 0) + 1)
+      );
+    });
+
+    const options = [["", "All formats"]];
+    Array.from(counts.keys())
+      .sort()
+      .forEach((f) => options.push([f, `${f} (${counts.get(f)})`]));
+    // Keep the chosen family selectable even before any tile resolves into it
+    if (STATE.filterFamily && !counts.has(STATE.filterFamily)) {
+      options.push([STATE.filterFamily, `${STATE.filterFamily} (0)`]);
+    }
+    filter.replaceChildren(
+      ...options.map(([value, text]) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = text;
+        return opt;
+      })
+    );
+    filter.value = STATE.filterFamily;
+
+    const progress = STATE.toolbarEl.querySelector(".lb-ar-toolbar-progress");
+    progress.textContent =
+      resolved < STATE.tiles.size
+        ? `${resolved} of ${STATE.tiles.size} looked up`
+        : "";
+  }
+
+  function tileMatchesFilter(tile) {
+    if (!STATE.filterFamily) return true;
+    if (tile.status !== "done") return false; // slots in once resolved
+    return (tile.families || []).includes(STATE.filterFamily);
+  }
+
+  function sortKeyForHost(host) {
+    const tile = STATE.tiles.get(host.getAttribute("data-lb-ar-slug"));
+    const value =
+      tile && tile.data ? ratioToNumber(tile.data.aspectRatio) : null;
+    if (STATE.sortOrder === "list" || value == null) return null;
+    return STATE.sortOrder === "wide" ? -value : value;
+  }
+
+  function applyFilterAndSort() {
+    if (!STATE.toolbarEl) return;
+    updateToolbar();
+
+    const parents = new Set();
+    STATE.tiles.forEach((tile) => {
+      const visible = tileMatchesFilter(tile);
+      tile.hosts.forEach((host) => {
+        host.classList.toggle("lb-ar-filtered-out", !visible);
+        if (host.parentElement) parents.add(host.parentElement);
+      });
+    });
+
+    parents.forEach((parent) => {
+      const hosts = Array.from(parent.children).filter((el) =>
+        el.hasAttribute("data-lb-ar-index")
+      );
+      const sorted = hosts.slice().sort((a, b) => {
+        const ka = sortKeyForHost(a);
+        const kb = sortKeyForHost(b);
+        // Unresolved films keep list order after the sorted ones
+        if (ka != null && kb != null && ka !== kb) return ka - kb;
+        if (ka != null && kb == null) return -1;
+        if (ka == null && kb != null) return 1;
+        return (
+          parseInt(a.getAttribute("data-lb-ar-index")) -
+          parseInt(b.getAttribute("data-lb-ar-index"))
+        );
+      });
+      if (sorted.every((el, i) => el === hosts[i])) return;
+      sorted.forEach((el) => parent.appendChild(el));
+    });
+  }
+
+  function observeNewTiles() {
+    // Letterboxd hydrates posters lazily and paginates some views in place
+    let timer = null;
+    const obs = new MutationObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(scanTiles, 300);
+    });
+    obs.observe(document.body, { subtree: true, childList: true });
+  }
+
+  // The background refreshed a stale cached record and the value changed
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (!msg || msg.type !== "aspectRatioUpdated") return;
+    STATE.tiles.forEach((tile) => {
+      if (tile.imdbId !== msg.imdbId) return;
+      tile.status = "done";
+      tile.data = msg.data;
+      tile.families = msg.families || [];
+      renderTile(tile);
+    });
+    if (STATE.toolbarEl) applyFilterAndSort();
+  });
+
+  // Kick off
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => {
+      scanTiles();
+      observeNewTiles();
+    });
+  } else {
+    scanTiles();
+    observeNewTiles();
+  }
+})();
@@ -0,0 +1,129 @@
+// Runs common/src/background.js in a vm context with an in-memory chrome stub, so its
+// top-level functions can be called directly (the worker has no module exports).
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const BACKGROUND = path.join(__dirname, "../../common/src/background.js");
+
+function storageArea(store, { quotaBytes = Infinity } = {}) {
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  const area = {
+    QUOTA_BYTES: Number.isFinite(quotaBytes) ? quotaBytes : 10485760,
+    lastError: null,
+    get(keys, cb) {
+      const names =
+        keys == null
+          ? Object.keys(store)
+          : typeof keys === "string"
+          ? [keys]
+          : Array.isArray(keys)
+          ? keys
+          : Object.keys(keys);
+      const out = {};
+      names.forEach((k) => {
+        if (k in store) out[k] = copy(store[k]);
+      });
+      if (cb) cb(out);
+      return Promise.resolve(out);
+    },
+    set(items, cb) {
+      const next = { ...store, ...copy(items) };
+      if (JSON.stringify(next).length > quotaBytes) {
+        area.lastError = { message: "QUOTA_BYTES quota exceeded" };
+      } else {
+        Object.assign(store, copy(items));
+      }
+      if (cb) cb();
+      area.lastError = null;
+      return Promise.resolve();
+    },
+    remove(keys, cb) {
+      [].concat(keys).forEach((k) => delete store[k]);
+      if (cb) cb();
+      return Promise.resolve();
+    },
+    getBytesInUse(keys, cb) {
+      const n = JSON.stringify(store).length;
+      if (cb) cb(n);
+      return Promise.resolve(n);
+    },
+  };
+  return area;
+}
+
+// options.fetch: the fetch the worker sees (defaults to Node's, for stub servers)
+// options.quotaBytes: local storage size at which set() fails like a full quota
+function loadBackground({ fetch = globalThis.fetch, quotaBytes } = {}) {
+  const local = {};
+  // Listeners are kept so tests can fire an event (e.g. onInstalled) themselves
+  const event = () => ({
+    listeners: [],
+    addListener(fn) {
+      this.listeners.push(fn);
+    },
+  });
+  const localArea = storageArea(local, { quotaBytes });
+  const runtime = {
+    onMessage: {
+      addListener(fn) {
+        runtime.listener = fn;
+      },
+    },
+    onStartup: event(),
+    onInstalled: event(),
+    getURL: (p) => p,
+  };
+  // chrome.runtime.lastError mirrors the storage area's for the set() callback
+  Object.defineProperty(runtime, "lastError", {
+    get: () => localArea.lastError,
+  });
+  const chrome = {
+    runtime,
+    storage: {
+      local: localArea,
+      session: storageArea({}),
+      sync: storageArea({}),
+      onChanged: event(),
+    },
+    action: { setBadgeText() {}, setBadgeBackgroundColor() {}, setTitle() {} },
+    tabs: {
+      onActivated: event(),
+      onUpdated: event(),
+      onRemoved: event(),
+      sendMessage: () => Promise.resolve(),
+      query: (q, cb) => (cb ? cb([]) : Promise.resolve([])),
+    },
+    alarms: { create() {}, get: (name, cb) => cb(undefined), onAlarm: event() },
+    permissions: {
+      contains: (p, cb) => (cb ? cb(true) : Promise.resolve(true)),
+    },
+  };
+
+  const context = vm.createContext({
+    chrome,
+    fetch,
+    console: { log() {}, warn() {}, error() {} },
+    AbortController,
+    Headers,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+  });
+  vm.runInContext(fs.readFileSync(BACKGROUND, "utf8"), context, {
+    filename: BACKGROUND,
+  });
+
+  // Send a runtime message the way a content script would; resolves with the response
+  context.sendMessage = (msg, sender = {}) =>
+    new Promise((resolve) => {
+      if (runtime.listener(msg, sender, resolve) !== true) resolve(undefined);
+    });
+  context.localStore = local;
+  return context;
+}
+
+module.exports = { loadBackground };
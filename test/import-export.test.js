@@ -0,0 +1,68 @@
+// Export and import through the worker's messages. A replace import only clears the
+// cache once the file's records are stored, and a file with nothing valid clears nothing.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBackground } = require("./helpers/load-background");
+
+function cachedRecord(ratio) {
+  return {
+    aspectRatio: ratio,
+    allAspectRatios: [ratio],
+    source: "imdb",
+    fetchedAt: Date.now() - 1000,
+    lastAccessedAt: Date.now(),
+  };
+}
+
+async function exported(bg) {
+  const resp = await bg.sendMessage({ type: "exportData", format: "json" });
+  return JSON.parse(resp.content);
+}
+
+test("export leaves out local bookkeeping", async () => {
+  const bg = loadBackground();
+  bg.localStore["ar:tt0000001"] = cachedRecord("2.39:1");
+  const data = await exported(bg);
+  assert.equal(data.records.tt0000001.aspectRatio, "2.39:1");
+  assert.equal("lastAccessedAt" in data.records.tt0000001, false);
+});
+
+test("replace import swaps the cache for the file's records", async () => {
+  const source = loadBackground();
+  source.localStore["ar:tt0000002"] = cachedRecord("1.85:1");
+  const content = JSON.stringify(await exported(source));
+
+  const bg = loadBackground();
+  bg.localStore["ar:tt0000001"] = cachedRecord("2.39:1");
+  bg.localStore["ov:tt0000001"] = { ratios: [{ ratio: "1.66:1" }] };
+  const resp = await bg.sendMessage({
+    type: "importData",
+    content,
+    mode: "replace",
+  });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.imported, 1);
+  assert.equal(bg.localStore["ar:tt0000002"].aspectRatio, "1.85:1");
+  assert.equal(bg.localStore["ar:tt0000001"], undefined);
+  assert.equal(bg.localStore["ov:tt0000001"], undefined);
+});
+
+test("replace import of a file with nothing valid keeps the cache", async () => {
+  const source = loadBackground();
+  const data = await exported(source);
+  data.records = { nonsense: cachedRecord("2.39:1") };
+  data.history = [];
+
+  const bg = loadBackground();
+  bg.localStore["ar:tt0000001"] = cachedRecord("2.39:1");
+  bg.localStore["ov:tt0000001"] = { ratios: [{ ratio: "1.66:1" }] };
+  const resp = await bg.sendMessage({
+    type: "importData",
+    content: JSON.stringify(data),
+    mode: "replace",
+  });
+  assert.equal(resp.ok, false);
+  assert.match(resp.error, /^Nothing in the file could be imported/);
+  assert.ok(bg.localStore["ar:tt0000001"]);
+  assert.ok(bg.localStore["ov:tt0000001"]);
+});
@@ -0,0 +1,165 @@
+// Pins what parseImdbTechnicalPage reads from IMDb /technical/ pages (see
+// fixtures/imdb/README.md), one per parser path: the two __NEXT_DATA__ shapes, the
+// data-testid markup and the text window.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadBackground } = require("./helpers/load-background");
+
+const bg = loadBackground();
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures/imdb", name), "utf8");
+}
+
+// Objects built inside the vm context have that context's prototypes
+function parse(html) {
+  return JSON.parse(JSON.stringify(bg.parseImdbTechnicalPage(html)));
+}
+
+function techSpec(result, key) {
+  const spec = result.techSpecs.find((s) => s.key === key);
+  return spec ? spec.values : null;
+}
+
+test("The Dark Knight: GraphQL technicalSpecifications in __NEXT_DATA__", () => {
+  const result = parse(fixture("tt0468569-the-dark-knight.html"));
+  assert.equal(result.parseStrategy, "next-data");
+  assert.deepEqual(result.entries, [
+    { ratio: "2.39:1", note: null },
+    { ratio: "1.43:1", note: "IMAX version, some scenes" },
+    { ratio: "1.78:1", note: "IMAX version, Blu-ray" },
+  ]);
+  assert.deepEqual(techSpec(result, "camera"), [
+    "IMAX MSM 9802 (IMAX scenes)",
+    "Panavision Panaflex Millennium XL",
+  ]);
+  assert.deepEqual(techSpec(result, "negativeFormat"), [
+    "35 mm",
+    "65 mm (IMAX scenes)",
+  ]);
+});
+
+test("Lawrence of Arabia: section list in __NEXT_DATA__", () => {
+  const result = parse(fixture("tt0056172-lawrence-of-arabia.html"));
+  assert.equal(result.parseStrategy, "next-data");
+  assert.deepEqual(result.entries, [
+    { ratio: "2.20:1", note: "70 mm prints" },
+    { ratio: "2.35:1", note: "35 mm prints" },
+  ]);
+  assert.deepEqual(techSpec(result, "runtime"), ["3h 38m (218 min)"]);
+  assert.deepEqual(techSpec(result, "camera"), ["Mitchell BFC 65"]);
+});
+
+test("The Grand Budapest Hotel: data-testid markup without embedded JSON", () => {
+  const result = parse(fixture("tt2278388-the-grand-budapest-hotel.html"));
+  assert.equal(result.parseStrategy, "markup");
+  assert.deepEqual(result.entries, [
+    { ratio: "1.37:1", note: "1932 scenes" },
+    { ratio: "1.85:1", note: "1968 scenes" },
+    { ratio: "2.35:1", note: "1985 scenes" },
+  ]);
+  assert.deepEqual(techSpec(result, "camera"), ["Arricam LT"]);
+});
+
+test("The Shawshank Redemption: text window around the label", () => {
+  const result = parse(fixture("tt0111161-the-shawshank-redemption.html"));
+  assert.equal(result.parseStrategy, "text-window");
+  assert.deepEqual(result.entries, [{ ratio: "1.85:1", note: null }]);
+});
+
+// Pages carry the specs twice, as JSON and as server-rendered markup
+function withoutNextData(html) {
+  return html.replace(/<script id="__NEXT_DATA__"[\s\S]*?<\/script>/, "");
+}
+
+test("The Dark Knight: the markup alone gives the same ratios", () => {
+  const page = fixture("tt0468569-the-dark-knight.html");
+  const result = parse(withoutNextData(page));
+  assert.equal(result.parseStrategy, "markup");
+  assert.deepEqual(result.entries, parse(page).entries);
+});
+
+test("Lawrence of Arabia: the markup alone gives the same ratios", () => {
+  const page = fixture("tt0056172-lawrence-of-arabia.html");
+  const result = parse(withoutNextData(page));
+  assert.equal(result.parseStrategy, "markup");
+  assert.deepEqual(result.entries, parse(page).entries);
+});
+
+test("unreadable __NEXT_DATA__ falls back to the markup", () => {
+  const page = fixture("tt0468569-the-dark-knight.html");
+  const html = page.replace(
+    /(<script id="__NEXT_DATA__" type="application\/json">)[\s\S]*?<\/script>/,
+    '$1{"props":</script>'
+  );
+  assert.notEqual(html, page);
+  const result = parse(html);
+  assert.equal(result.parseStrategy, "markup");
+  assert.equal(result.entries.length, 3);
+});
+
+test("a page without an aspect ratio yields no entries", () => {
+  const result = parse("<html><body><p>Runtime 1h 30m</p></body></html>");
+  assert.deepEqual(result.entries, []);
+});
+
+// Localized pages: notes use words that are other fields' labels in the same
+// language ("négatif", "Farbe", "copia", "cor"), which must not end the field
+test("French: data-testid markup with decimal commas", () => {
+  const result = parse(fixture("fr/tt0031381-autant-en-emporte-le-vent.html"));
+  assert.equal(result.parseStrategy, "markup");
+  assert.deepEqual(result.entries, [
+    { ratio: "1.37:1", note: "négatif original" },
+    { ratio: "2.20:1", note: "copie 70 mm, ressortie 1967" },
+  ]);
+});
+
+test("German: label/value table, one ratio per line", () => {
+  const result = parse(fixture("de/tt0049833-die-zehn-gebote.html"));
+  assert.equal(result.parseStrategy, "markup");
+  assert.deepEqual(result.entries, [
+    { ratio: "1.85:1", note: "Negativ: VistaVision" },
+    { ratio: "1.37:1", note: "Farbe, 16-mm-Kopie" },
+  ]);
+});
+
+test("Spanish: label and value spans only", () => {
+  const result = parse(
+    fixture("es/tt0062622-2001-una-odisea-del-espacio.html")
+  );
+  assert.deepEqual(result.entries, [
+    { ratio: "2.20:1", note: "copia de 70 mm" },
+    { ratio: "2.35:1", note: "negativo reducido, copia de 35 mm" },
+  ]);
+});
+
+test("Portuguese: section list in __NEXT_DATA__ and the same markup", () => {
+  const page = fixture("pt/tt0032138-o-magico-de-oz.html");
+  const expected = [
+    { ratio: "1.37:1", note: "negativo original" },
+    { ratio: "1.33:1", note: "cor, cópia em 16 mm" },
+  ];
+  const result = parse(page);
+  assert.equal(result.parseStrategy, "next-data");
+  assert.deepEqual(result.entries, expected);
+  assert.deepEqual(techSpec(result, "camera"), ["Technicolor 3-strip Camera"]);
+  assert.deepEqual(parse(withoutNextData(page)).entries, expected);
+});
+
+test("field names inside notes keep every ratio and the original negative primary", () => {
+  const html =
+    '<table><tr><td class="label">Aspect Ratio</td><td>1.85 : 1 (original negative)' +
+    "<br>1.37 : 1 (color sequences)</td></tr>" +
+    '<tr><td class="label">Camera</td><td>Arriflex 35 BL</td></tr></table>';
+  const result = parse(html);
+  assert.deepEqual(result.entries, [
+    { ratio: "1.85:1", note: "original negative" },
+    { ratio: "1.37:1", note: "color sequences" },
+  ]);
+  assert.equal(
+    bg.choosePrimaryRatio(result.entries, "theatrical").ratio,
+    "1.85:1"
+  );
+});
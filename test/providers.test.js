@@ -0,0 +1,277 @@
+// Runs each data-source provider against a local stub server: an answer, an empty
+// result and an HTTP error, the last two falling back to the next provider in order.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { loadBackground } = require("./helpers/load-background");
+
+const IMDB_ID = "tt0468569";
+const IMDB_PAGE = fs.readFileSync(
+  path.join(__dirname, "fixtures/imdb/tt0468569-the-dark-knight.html"),
+  "utf8"
+);
+const EMPTY_PAGE = "<html><body><h1>Technical specs</h1></body></html>";
+
+// Each provider's response per mode; the tests pick a mode per provider
+const RESPONSES = {
+  imdb: {
+    ok: [200, "text/html", IMDB_PAGE],
+    empty: [200, "text/html", EMPTY_PAGE],
+  },
+  wikidata: {
+    ok: [
+      200,
+      "application/sparql-results+json",
+      JSON.stringify({
+        results: {
+          bindings: [
+            { ratioLabel: { value: "2.39:1" } },
+            { ratioLabel: { value: "1.43:1" }, partLabel: { value: "IMAX" } },
+          ],
+        },
+      }),
+    ],
+    empty: [
+      200,
+      "application/sparql-results+json",
+      JSON.stringify({ results: { bindings: [] } }),
+    ],
+    // The Dark Knight's ratios as Wikidata rounds them
+    rounded: [
+      200,
+      "application/sparql-results+json",
+      JSON.stringify({
+        results: {
+          bindings: [
+            { ratioLabel: { value: "2.35:1" } },
+            { ratioLabel: { value: "1.44:1" }, partLabel: { value: "IMAX" } },
+            { ratioLabel: { value: "1.77:1" } },
+          ],
+        },
+      }),
+    ],
+  },
+  custom: {
+    ok: [
+      200,
+      "application/json",
+      JSON.stringify({ ratios: [{ ratio: "2.39:1", note: "Theatrical" }] }),
+    ],
+    empty: [200, "application/json", JSON.stringify({ ratios: [] })],
+    null: [200, "application/json", "null"],
+  },
+};
+
+let server;
+let base;
+let modes = {};
+const requests = [];
+
+function providerFor(url) {
+  if (url.startsWith("/imdb/")) return "imdb";
+  if (url.startsWith("/wikidata/")) return "wikidata";
+  if (url.startsWith("/custom/")) return "custom";
+  return null;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const provider = providerFor(req.url);
+    requests.push(req.url);
+    const mode = provider && modes[provider];
+    const [status, type, body] =
+      mode === "error"
+        ? [500, "text/plain", "Internal Server Error"]
+        : (RESPONSES[provider] || {})[mode] || [404, "text/plain", "Not Found"];
+    res.writeHead(status, { "Content-Type": type });
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// A fresh worker (no cache, full request budget) asking providers in `order`
+async function lookup(order, providerModes, { reconcileSources = false } = {}) {
+  modes = providerModes;
+  requests.length = 0;
+  const bg = loadBackground();
+  await bg.sendMessage({
+    type: "saveSettings",
+    settings: {
+      providerOrder: order,
+      enabledProviders: Object.fromEntries(order.map((id) => [id, true])),
+      providerBaseUrls: {
+        imdb: `${base}/imdb`,
+        wikidata: `${base}/wikidata`,
+      },
+      customEndpoint: `${base}/custom/ratios/{imdbId}.json`,
+      reconcileSources,
+      minRequestIntervalMs: 250,
+    },
+  });
+  try {
+    return {
+      record: JSON.parse(JSON.stringify(await bg.fetchFromProviders(IMDB_ID))),
+    };
+  } catch (err) {
+    return { error: err };
+  }
+}
+
+function entries(record) {
+  return record.ratios.map(({ ratio, note }) => ({ ratio, note }));
+}
+
+test("imdb: parses the stub's /technical/ page", async () => {
+  const { record } = await lookup(["imdb"], { imdb: "ok" });
+  assert.equal(record.source, "imdb");
+  assert.equal(record.parseStrategy, "next-data");
+  assert.deepEqual(record.allAspectRatios, ["2.39:1", "1.43:1", "1.78:1"]);
+  assert.deepEqual(requests, [`/imdb/title/${IMDB_ID}/technical/`]);
+});
+
+test("imdb: a page without ratios falls back to wikidata", async () => {
+  const { record } = await lookup(["imdb", "wikidata"], {
+    imdb: "empty",
+    wikidata: "ok",
+  });
+  assert.equal(record.source, "wikidata");
+  assert.deepEqual(record.providerAttempts, [
+    { provider: "imdb", error: "not found" },
+  ]);
+});
+
+test("imdb: an HTTP error falls back to wikidata", async () => {
+  const { record } = await lookup(["imdb", "wikidata"], {
+    imdb: "error",
+    wikidata: "ok",
+  });
+  assert.equal(record.source, "wikidata");
+  assert.equal(record.providerAttempts.length, 1);
+  assert.equal(record.providerAttempts[0].provider, "imdb");
+  assert.equal(record.providerAttempts[0].status, 500);
+});
+
+test("wikidata: reads ratio and part labels from the SPARQL bindings", async () => {
+  const { record } = await lookup(["wikidata"], { wikidata: "ok" });
+  assert.equal(record.source, "wikidata");
+  assert.equal(record.parseStrategy, "wikidata-sparql");
+  assert.deepEqual(entries(record), [
+    { ratio: "2.39:1", note: null },
+    { ratio: "1.43:1", note: "IMAX" },
+  ]);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0], /^\/wikidata\/sparql\?format=json&query=/);
+});
+
+test("wikidata: no bindings falls back to custom", async () => {
+  const { record } = await lookup(["wikidata", "custom"], {
+    wikidata: "empty",
+    custom: "ok",
+  });
+  assert.equal(record.source, "custom");
+  assert.deepEqual(record.providerAttempts, [
+    { provider: "wikidata", error: "not found" },
+  ]);
+});
+
+test("wikidata: an HTTP error falls back to custom", async () => {
+  const { record } = await lookup(["wikidata", "custom"], {
+    wikidata: "error",
+    custom: "ok",
+  });
+  assert.equal(record.source, "custom");
+  assert.equal(record.providerAttempts[0].provider, "wikidata");
+  assert.equal(record.providerAttempts[0].status, 500);
+});
+
+test("custom: fills {imdbId} into the endpoint and reads ratios", async () => {
+  const { record } = await lookup(["custom"], { custom: "ok" });
+  assert.equal(record.source, "custom");
+  assert.equal(record.parseStrategy, "json");
+  assert.deepEqual(entries(record), [{ ratio: "2.39:1", note: "Theatrical" }]);
+  assert.deepEqual(requests, [`/custom/ratios/${IMDB_ID}.json`]);
+});
+
+test("custom: an empty list falls back to imdb", async () => {
+  const { record } = await lookup(["custom", "imdb"], {
+    custom: "empty",
+    imdb: "ok",
+  });
+  assert.equal(record.source, "imdb");
+  assert.deepEqual(record.providerAttempts, [
+    { provider: "custom", error: "not found" },
+  ]);
+});
+
+test("custom: a JSON null falls back to imdb", async () => {
+  const { record } = await lookup(["custom", "imdb"], {
+    custom: "null",
+    imdb: "ok",
+  });
+  assert.equal(record.source, "imdb");
+  assert.deepEqual(record.providerAttempts, [
+    { provider: "custom", error: "not found" },
+  ]);
+});
+
+test("custom: an HTTP error falls back to imdb", async () => {
+  const { record } = await lookup(["custom", "imdb"], {
+    custom: "error",
+    imdb: "ok",
+  });
+  assert.equal(record.source, "imdb");
+  assert.equal(record.providerAttempts[0].provider, "custom");
+  assert.equal(record.providerAttempts[0].status, 500);
+});
+
+test("wikidata: an invalid IMDb ID is refused before querying", async () => {
+  modes = { wikidata: "ok" };
+  requests.length = 0;
+  const bg = loadBackground();
+  await assert.rejects(
+    bg.fetchWikidataAspectRatio('tt1" } UNION { ?s ?p ?o', {
+      baseUrl: `${base}/wikidata`,
+    }),
+    /Invalid IMDb ID/
+  );
+  assert.deepEqual(requests, []);
+});
+
+test("reconciling: one format rounded differently is not a conflict", async () => {
+  const { record } = await lookup(
+    ["imdb", "wikidata"],
+    { imdb: "ok", wikidata: "rounded" },
+    { reconcileSources: true }
+  );
+  assert.equal(record.aspectRatio, "2.39:1");
+  assert.equal(record.reconciliation.conflict, false);
+  assert.deepEqual(
+    record.reconciliation.clusters.map(({ ratio, sources }) => [
+      ratio,
+      sources,
+    ]),
+    [
+      ["2.39:1", ["imdb", "wikidata"]],
+      ["1.43:1", ["imdb", "wikidata"]],
+      ["1.78:1", ["imdb", "wikidata"]],
+    ]
+  );
+});
+
+test("every provider failing rejects with each failure", async () => {
+  const { error } = await lookup(["imdb", "wikidata", "custom"], {
+    imdb: "error",
+    wikidata: "empty",
+    custom: "error",
+  });
+  assert.ok(error, "lookup should fail");
+  assert.match(error.message, /^All sources failed: /);
+  assert.match(error.message, /imdb: .*500/);
+  assert.match(error.message, /wikidata: not found/);
+  assert.match(error.message, /custom: .*500/);
+});
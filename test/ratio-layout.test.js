@@ -0,0 +1,43 @@
+// classifyRatioLayout: a film that itself switches ratio is "variable", alternates
+// for different releases are "multi-format".
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBackground } = require("./helpers/load-background");
+
+const bg = loadBackground();
+
+function layout(...entries) {
+  return bg.classifyRatioLayout(
+    entries.map(([ratio, note]) => ({ ratio, note: note || null }))
+  );
+}
+
+test("notes about scenes, sequences and segments make the film variable", () => {
+  assert.equal(
+    layout(["2.39:1"], ["1.43:1", "IMAX version, some scenes"]),
+    "variable"
+  );
+  assert.equal(layout(["1.85:1"], ["1.37:1", "1930s sequences"]), "variable");
+  assert.equal(layout(["2.39:1"], ["1.90:1", "IMAX sequences"]), "variable");
+  assert.equal(layout(["1.85:1"], ["1.33:1", "animated segments"]), "variable");
+});
+
+test("release alternates stay multi-format", () => {
+  assert.equal(layout(["2.39:1"], ["1.85:1", "some prints"]), "multi-format");
+  assert.equal(
+    layout(["1.85:1"], ["1.66:1", "certain theatres"]),
+    "multi-format"
+  );
+  assert.equal(
+    layout(["2.20:1", "70 mm prints"], ["2.35:1", "35 mm prints"]),
+    "multi-format"
+  );
+  assert.equal(
+    layout(["1.85:1"], ["1.78:1", "parts of Europe"]),
+    "multi-format"
+  );
+});
+
+test("a single ratio is single", () => {
+  assert.equal(layout(["1.85:1", "some prints"]), "single");
+});
@@ -0,0 +1,104 @@
+// scheduledFetch against a local stub server: throttled answers are retried, a request
+// that never gets an answer times out without holding up the host's queue, and the IMDb
+// budget is spent as requests go out, not as they are queued.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { loadBackground } = require("./helpers/load-background");
+
+let server;
+let base;
+let throttled = 0;
+const hanging = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url.startsWith("/hang")) {
+      hanging.push(res);
+      return;
+    }
+    if (req.url === "/throttled" && throttled > 0) {
+      throttled--;
+      res.writeHead(429, { "Retry-After": "0" });
+      res.end("Too Many Requests");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(`ok ${req.url}`);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  hanging.forEach((res) => res.destroy());
+  return new Promise((resolve) => server.close(resolve));
+});
+
+test("429 answers are retried after Retry-After", async () => {
+  const bg = loadBackground();
+  throttled = 2;
+  const res = await bg.scheduledFetch(`${base}/throttled`, {});
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "ok /throttled");
+  assert.equal(throttled, 0);
+});
+
+test("a request without an answer times out and the queue moves on", async () => {
+  const bg = loadBackground();
+  const stuck = bg.scheduledFetch(`${base}/hang`, {}, { timeoutMs: 200 });
+  const next = bg.scheduledFetch(`${base}/after`, {});
+  await assert.rejects(stuck, (err) => {
+    assert.equal(err.code, "timeout");
+    return true;
+  });
+  const res = await next;
+  assert.equal(await res.text(), "ok /after");
+});
+
+test("a request beforeSend refuses is dropped without being sent", async () => {
+  const bg = loadBackground();
+  const refused = new Error("no budget");
+  const dropped = bg.scheduledFetch(
+    `${base}/refused`,
+    {},
+    {
+      beforeSend: () => {
+        throw refused;
+      },
+    }
+  );
+  await assert.rejects(dropped, (err) => err === refused);
+  const res = await bg.scheduledFetch(`${base}/after`, {});
+  assert.equal(await res.text(), "ok /after");
+});
+
+// Resolves once the next request reaches /hang, with a function that answers it
+async function answerNextHanging(body) {
+  const count = hanging.length;
+  while (hanging.length === count) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return () => hanging.pop().end(body);
+}
+
+test("IMDb requests count against the budget when sent, not when queued", async () => {
+  const bg = loadBackground();
+  await bg.sendMessage({
+    type: "saveSettings",
+    settings: { minRequestIntervalMs: 250 },
+  });
+  const budget = bg.imdbBudget().hourlyLeft;
+  const first = answerNextHanging("<html></html>");
+  const lookups = ["tt0000001", "tt0000002"].map((id) =>
+    bg.fetchImdbAspectRatio(id, { baseUrl: `${base}/hang` })
+  );
+
+  const answerFirst = await first;
+  assert.equal(bg.imdbBudget().hourlyLeft, budget - 1);
+  answerFirst(); // the next one goes out minRequestIntervalMs later
+  const answerSecond = await answerNextHanging("<html></html>");
+  assert.equal(bg.imdbBudget().hourlyLeft, budget - 2);
+  answerSecond();
+  await Promise.all(lookups);
+});
@@ -0,0 +1,214 @@
+// Local writes against a storage area that fails like a full quota: cached records make
+// room by evicting the least recently used ones, and what can't be stored is reported.
+// Private windows' overrides are not written at all, and saving an override never fetches.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadBackground } = require("./helpers/load-background");
+
+const QUOTA_BYTES = 2500;
+
+// Eight cached films, tt0000001 least recently used, filling most of the quota
+async function fullStore() {
+  const bg = loadBackground({ quotaBytes: QUOTA_BYTES });
+  const now = Date.now();
+  for (let i = 1; i <= 8; i++) {
+    bg.localStore[`ar:tt000000${i}`] = {
+      aspectRatio: "2.39:1",
+      allAspectRatios: ["2.39:1"],
+      displayText: "2.39:1 (Scope)",
+      fetchedAt: now,
+      lastAccessedAt: now - (10 - i) * 1000,
+      padding: "x".repeat(120),
+    };
+  }
+  return bg;
+}
+
+test("a cache write that hits the quota evicts only the records it needs room for", async () => {
+  const bg = await fullStore();
+  const stored = await bg.setCached("tt0000009", {
+    aspectRatio: "1.85:1",
+    allAspectRatios: ["1.85:1"],
+    fetchedAt: Date.now(),
+    padding: "x".repeat(120),
+  });
+  assert.equal(stored, true);
+  assert.ok(bg.localStore["ar:tt0000009"]);
+  assert.equal(bg.localStore["ar:tt0000001"], undefined);
+  assert.ok(bg.localStore["ar:tt0000002"]);
+});
+
+test("history is saved through the same eviction", async () => {
+  const bg = await fullStore();
+  const history = [{ imdbId: "tt0000001", title: "x".repeat(300) }];
+  assert.equal(await bg.setStored("history", history), true);
+  assert.equal(bg.localStore.history[0].title.length, 300);
+  assert.equal(bg.localStore["ar:tt0000001"], undefined);
+});
+
+test("an override that can't be stored is reported, not shown as saved", async () => {
+  const bg = loadBackground({ quotaBytes: 100 });
+  const resp = await bg.sendMessage({
+    type: "setOverride",
+    imdbId: "tt0000001",
+    override: { ratiosText: "2.39:1", note: "x".repeat(200) },
+  });
+  assert.equal(resp.ok, false);
+  assert.match(resp.error, /Could not save the override/);
+  assert.equal(bg.localStore["ov:tt0000001"], undefined);
+});
+
+test("cleanup evicts the least recently used records past the byte budget", async () => {
+  const bg = loadBackground();
+  const now = Date.now();
+  const ids = [];
+  for (let i = 1; i <= 10; i++) {
+    const id = `tt${String(i).padStart(7, "0")}`;
+    ids.push(id);
+    bg.localStore[`ar:${id}`] = {
+      aspectRatio: "2.39:1",
+      fetchedAt: now,
+      lastAccessedAt: now - (20 - i) * 1000,
+      snippet: "x".repeat(1000000),
+    };
+  }
+  const result = await bg.cleanupCache();
+  assert.equal(result.evicted, 2);
+  assert.deepEqual(
+    ids.filter((id) => bg.localStore[`ar:${id}`]),
+    ids.slice(2)
+  );
+});
+
+// A fetch that counts its calls and never gets through
+function offlineFetch() {
+  const fetch = () => {
+    fetch.calls++;
+    return Promise.reject(new Error("offline"));
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+test("overrides from private windows stay in memory", async () => {
+  const fetch = offlineFetch();
+  const bg = loadBackground({ fetch });
+  const privateTab = { tab: { id: 7, incognito: true } };
+  const resp = await bg.sendMessage(
+    {
+      type: "setOverride",
+      imdbId: "tt0000001",
+      override: { ratiosText: "1.66:1" },
+    },
+    privateTab
+  );
+  assert.equal(resp.ok, true);
+  assert.equal(resp.data.aspectRatio, "1.66:1");
+  assert.equal(bg.localStore["ov:tt0000001"], undefined);
+
+  const get = (sender, msg = {}) =>
+    bg.sendMessage(
+      { type: "getOverride", imdbId: "tt0000001", ...msg },
+      sender
+    );
+  assert.ok((await get(privateTab)).override);
+  assert.ok((await get({}, { incognito: true })).override); // the popup
+  assert.equal((await get({ tab: { id: 8 } })).override, null);
+  assert.equal(fetch.calls, 0);
+});
+
+test("saving an override layers it on the known record without fetching", async () => {
+  const fetch = offlineFetch();
+  const bg = loadBackground({ fetch });
+  bg.localStore["ar:tt0000001"] = {
+    ...schemaOneRecord(),
+    source: "imdb",
+    schemaVersion: 3,
+  };
+  const set = (sender, type = "setOverride") =>
+    bg.sendMessage(
+      { type, imdbId: "tt0000001", override: { primary: "1.78:1" } },
+      sender
+    );
+
+  const normal = await set({ tab: { id: 8 } });
+  assert.equal(normal.ok, true);
+  assert.equal(normal.data.source, "imdb");
+  assert.equal(normal.data.aspectRatio, "1.78:1");
+  const cleared = await set({ tab: { id: 8 } }, "clearOverride");
+  assert.equal(cleared.data.aspectRatio, "2.39:1");
+
+  // Private windows don't read the cache, and have nothing of their own to layer on
+  const privateTab = { tab: { id: 7, incognito: true } };
+  assert.equal((await set(privateTab)).ok, false);
+  assert.equal(fetch.calls, 0);
+});
+
+test("a private window's override is layered on the record it fetched", async () => {
+  const page = fs.readFileSync(
+    path.join(__dirname, "fixtures/imdb/tt0468569-the-dark-knight.html"),
+    "utf8"
+  );
+  let calls = 0;
+  const fetch = async () => {
+    calls++;
+    return new Response(page, { headers: { "Content-Type": "text/html" } });
+  };
+  const bg = loadBackground({ fetch });
+  await bg.lookupAspectRatio("tt0468569", { isIncognito: true });
+  assert.equal(calls, 1);
+
+  const resp = await bg.sendMessage(
+    {
+      type: "setOverride",
+      imdbId: "tt0468569",
+      override: { primary: "1.43:1" },
+    },
+    { tab: { id: 7, incognito: true } }
+  );
+  assert.equal(resp.ok, true);
+  assert.equal(resp.data.source, "imdb");
+  assert.equal(resp.data.aspectRatio, "1.43:1");
+  assert.deepEqual(
+    [...resp.data.allAspectRatios],
+    ["2.39:1", "1.43:1", "1.78:1"]
+  );
+  assert.equal(calls, 1);
+  assert.equal(bg.localStore["ar:tt0468569"], undefined);
+});
+
+// A record as schema 1 wrote it: no schemaVersion, only the ratio list
+function schemaOneRecord() {
+  return {
+    aspectRatio: "2.39:1",
+    allAspectRatios: ["2.39:1", "1.78:1"],
+    fetchedAt: Date.now(),
+  };
+}
+
+function fire(event, ...args) {
+  return Promise.all(event.listeners.map((fn) => fn(...args)));
+}
+
+test("old records are migrated on install or update, not on every wake", async () => {
+  const bg = loadBackground();
+  bg.localStore["ar:tt0000001"] = schemaOneRecord();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(bg.localStore["ar:tt0000001"].schemaVersion, undefined);
+
+  await fire(bg.chrome.runtime.onInstalled, { reason: "update" });
+  assert.ok(bg.localStore["ar:tt0000001"].schemaVersion > 1);
+  assert.equal(bg.localStore.migrationPending, undefined);
+});
+
+test("a migration that failed is retried at the next browser start", async () => {
+  const bg = loadBackground();
+  bg.localStore["ar:tt0000001"] = schemaOneRecord();
+  bg.localStore.migrationPending = 1;
+
+  await fire(bg.chrome.runtime.onStartup);
+  assert.ok(bg.localStore["ar:tt0000001"].schemaVersion > 1);
+  assert.equal(bg.localStore.migrationPending, undefined);
+});